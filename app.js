@@ -2,8 +2,10 @@
  * Static Weather Visualization App
  * Principles:
  * 1. No API calls to external services.
- * 2. Fetch JSON from /public/data/{stationId}/{year}.json.
+ * 2. Fetch JSON from /public/data/{stationId}/{year}.json (or one bundle.json per station).
  * 3. Render using Canvas (No heavy libraries).
+ * 4. ES modules served over HTTP (browsers do not run them from file://): index.html starts
+ *    WeatherApp from this one, other pages embed the chart with createWeatherChart from embed.js.
  */
 
 /**
@@ -13,14 +15,815 @@
 // --- Constants ---
 const DATA_BASE_URL = './data';
 const MAX_CACHE_SIZE = 3;
+const EDGE_PRELOAD_DAYS = 30; // Load the adjacent year when the window gets this close to an edge
+const OFFLINE_HEADER = 'X-Weather-Offline'; // Set by sw.js on responses served from its cache
+
+// Candle colour rules: warmer/colder than the previous day or than normal, or by temperature itself
+const COLOR_RULES = ['previous', 'normal', 'absolute'];
+const RENDER_MODES = ['candle', 'band', 'line', 'heatmap', 'heatmap-anomaly'];
+
+// Stock-chart style overlays on a single station's timeline, all from the daily mean (colours per theme)
+const INDICATORS = {
+    ma7: { message: 'indicator.ma7', days: 7 },
+    ma30: { message: 'indicator.ma30', days: 30 },
+    ma90: { message: 'indicator.ma90', days: 90 },
+    bollinger: { message: 'indicator.bollinger', days: 30, width: 2 },
+    trend: { message: 'indicator.trend' }
+};
+const DESCRIBE_DELAY = 300; // ms after the last redraw before the screen-reader summary and table are rebuilt
+const TABLE_MAX_ROWS = 92;  // Days in the screen-reader table; longer windows list their first days and say so
+
+// Year files list their row layout in `columns` (schema 2). The first three are always
+// date, min, max; schema 1 files have no `columns` and only those three.
+const DAY_COLUMNS = ['date', 'min', 'max', 'mean', 'precipitation', 'humidity', 'wind_max', 'sunshine'];
+const VARIABLES = {
+    precipitation: { message: 'variable.precipitation', unit: 'mm', style: 'bar' },
+    humidity: { message: 'variable.humidity', unit: '%', style: 'line', max: 100 },
+    wind_max: { message: 'variable.wind_max', unit: 'km/h', style: 'line' },
+    sunshine: { message: 'variable.sunshine', unit: 'h', style: 'bar' }
+};
+
+// --- Messages ---
+// UI text per language. index.html marks translated nodes with data-i18n (text), data-i18n-html
+// (markup from this catalogue) and data-i18n-aria-label.
+// Temperatures stay in °C everywhere else; formatTemp/formatTempChange convert them for display only.
+const LANGUAGES = ['ko', 'en'];
+const TEMPERATURE_UNITS = ['celsius', 'fahrenheit'];
+const PREFERENCES_KEY = 'weather-chart-preferences'; // localStorage: { language, unit, theme }
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Each WeatherApp holds its own locale ({ language, unit }) and shares it with its chart, so charts
+// embedded on one page can differ; the helpers below take it as their first argument
+const DEFAULT_LOCALE = { language: 'ko', unit: 'celsius' };
+
+const MESSAGES = {
+    ko: {
+        'app.title': '과거 날씨 흐름 보기',
+        'app.heading': '과거 날씨 흐름',
+        'date.full': '{y}년 {m}월 {d}일',
+        'date.day': '{m}월 {d}일',
+        'date.year': '{y}년',
+        'date.month': '{m}월',
+        'date.none': '-월 -일',
+        'calendar.weekdays': '일 월 화 수 목 금 토',
+        'unit.days': '{n}일',
+        'noData': '자료 없음',
+        'temp.min': '최저',
+        'temp.max': '최고',
+        'temp.mean': '평균',
+        'value.min': '최저 {value}',
+        'value.max': '최고 {value}',
+        'value.mean': '평균 {value}',
+        'value.range': '일교차 {value}',
+        'value.vsPrevious': '전날 대비 {value}',
+        'value.minMax': '최저 {min} · 최고 {max}',
+        'value.minMaxRange': '최저 {min} · 최고 {max} (일교차 {range})',
+        'value.row': '{label}: 최저 {min} / 최고 {max}',
+        'value.anomaly': '평년 대비: 최저 {min} · 최고 {max}',
+
+        'controls.group': '데이터 선택',
+        'station.label': '지역',
+        'year.label': '연도 선택',
+        'year.prev': '이전 연도',
+        'year.next': '다음 연도',
+        'range.label': '기간',
+        'range.from': '시작일',
+        'range.to': '종료일',
+        'range.submit': '보기',
+        'range.presets': '기간 바로 가기',
+        'range.last7': '최근 7일',
+        'range.last30': '최근 30일',
+        'range.last90': '최근 90일',
+        'range.season': '이번 계절',
+        'range.month': '이 해의 달 보기',
+        'range.pickMonth': '월 선택',
+        'stations.label': '함께 보기',
+        'compare.button': '연도 비교',
+        'compare.years': '비교할 연도',
+        'records.button': '역대 기록',
+        'language.label': '언어',
+        'unit.label': '온도 단위',
+        'theme.label': '화면 테마',
+        'theme.auto': '테마: 기기 설정',
+        'theme.light': '테마: 밝게',
+        'theme.dark': '테마: 어둡게',
+        'theme.contrast': '테마: 고대비',
+
+        'selection.yearValues': '연도별 기온',
+        'zoom.in': '차트 확대',
+        'zoom.out': '차트 축소',
+        'zoom.reset': '초기화',
+        'zoom.all': '전체',
+        'help.drag': '※ 드래그하여 이동',
+        'export.menu': '내보내기',
+        'export.group': '보이는 구간 내보내기',
+        'export.size': 'PNG 크기',
+        'export.size2400': '2400×1200 (고해상도)',
+        'export.size3840': '3840×2160 (고해상도)',
+        'export.compareTitle': '{station} 연도 비교 ({years})',
+        'export.attribution': '데이터 제공: {source}',
+        'indicator.menu': '보조 지표',
+        'indicator.ma7': '7일 이동평균',
+        'indicator.ma30': '30일 이동평균',
+        'indicator.ma90': '90일 이동평균',
+        'indicator.bollinger': '변동 폭 (30일 ±2σ)',
+        'indicator.trend': '추세',
+        'indicator.trendLine': '추세선',
+        'indicator.trendSlope': '{label} {slope}/10년',
+        'indicator.noData': '{label} (자료 부족)',
+        'view.label': '차트 모양',
+        'view.candle': '막대',
+        'view.band': '띠 (최저~최고·평균)',
+        'view.line': '선 (최저·최고)',
+        'view.heatmap': '달력 (평균 기온)',
+        'view.heatmapAnomaly': '달력 (평년 대비)',
+        'color.label': '막대 색상 기준',
+        'color.previous': '색: 전날 대비',
+        'color.normal': '색: 평년 대비',
+        'color.absolute': '색: 기온',
+        'secondary.label': '보조 차트',
+        'secondary.none': '보조 차트 없음',
+        'variable.precipitation': '강수량',
+        'variable.humidity': '습도',
+        'variable.wind_max': '최대 풍속',
+        'variable.sunshine': '일조 시간',
+
+        'chart.label': '일별 기온 범위 차트',
+        'status.loading': '데이터 불러오는 중...',
+        'legend.range': '최저~최고',
+        'legend.warmerThanPrevious': '전날보다 따뜻함',
+        'legend.colderThanPrevious': '전날보다 추움',
+        'legend.warmerThanNormal': '평년보다 따뜻함',
+        'legend.colderThanNormal': '평년보다 추움',
+        'legend.normals': '평년 범위',
+        'scale.anomaly': '평년 대비',
+        'scale.mean': '평균 기온',
+        'scale.temperature': '기온',
+
+        'table.caption': '보이는 구간의 일별 기온',
+        'table.date': '날짜',
+        'table.column': '{label} ({unit})',
+        'table.truncated': '(전체 {total}일 중 처음 {shown}일, 확대하면 모든 날짜가 나옵니다)',
+        'summary.extremes': '최저 {min} ({minDate}), 최고 {max} ({maxDate})',
+
+        'stats.title': '보이는 기간 통계',
+        'stats.select': '차트에서 이 날 선택',
+        'stats.days': '자료 있는 날',
+        'stats.dayCount': '{days} / {total}일',
+        'stats.meanMin': '평균 최저 기온',
+        'stats.meanMax': '평균 최고 기온',
+        'stats.lowest': '최저 기온',
+        'stats.highest': '최고 기온',
+        'stats.widest': '최대 일교차',
+        'stats.tropicalNights': '열대야 (최저 {value} 이상)',
+        'stats.heatwaveDays': '폭염일 (최고 {value} 이상)',
+        'stats.freezingDays': '영하일 (최저 {value} 미만)',
+
+        'records.title': '역대 기록',
+        'records.loading': '역대 기록을 불러오는 중...',
+        'records.failed': '역대 기록을 불러오지 못했습니다.',
+        'records.source': '{station}, {first}~{last}년 자료',
+        'records.none': '해당하는 날이 없습니다.',
+        'records.hottest': '가장 더운 날',
+        'records.coldest': '가장 추운 날',
+        'records.widest': '일교차가 가장 큰 날',
+        'records.tropical_night': '가장 긴 열대야 (최저 {value} 이상)',
+        'records.heatwave': '가장 긴 폭염 (최고 {value} 이상)',
+        'records.freezing': '가장 긴 영하 (최저 {value} 미만)',
+        'records.frost': '서리 (최저 {value} 미만)',
+        'records.year': '연도',
+        'records.lastFrost': '봄 마지막 서리',
+        'records.firstFrost': '가을 첫 서리',
+        'records.noFrost': '없음',
+
+        'offline.cached': '오프라인: 저장해 둔 자료를 보여주고 있습니다. 최신 자료가 아닐 수 있습니다.',
+        'offline.disconnected': '오프라인: 인터넷에 연결되어 있지 않습니다. 이미 본 자료만 볼 수 있습니다.',
+        'error.stations': '지역 목록을 찾을 수 없습니다.',
+        'error.meta': '지역 정보를 찾을 수 없습니다.',
+        'error.year': '{year}년 자료를 불러오지 못했습니다.',
+        'error.latest': '최신 자료를 불러오지 못했습니다.',
+        'error.compare': '비교할 자료를 불러오지 못했습니다.',
+        'error.image': '이미지를 만들지 못했습니다.',
+
+        'help.colors': '※ <strong>막대 색상</strong>: 어제보다 평균 기온이 높으면 <span style="color:red">붉은색</span>, 낮으면 <span style="color:blue">파란색</span>입니다. 화면 밖이나 지난해의 전날과도 비교합니다. 색 기준을 \'평년 대비\'로 바꾸면 평년보다 따뜻한 날이 붉은색, \'기온\'으로 바꾸면 기온에 따라 파란색~붉은색으로 칠합니다.',
+        'help.normals': '※ <strong>회색 띠</strong>: 저장된 모든 연도로 계산한 평년 범위입니다. 진한 띠는 평균 최저~최고, 옅은 띠는 하위 10%~상위 10% 범위입니다.',
+        'help.candles': '※ <strong>막대 길이</strong>: 그날의 최저 기온과 최고 기온의 차이(일교차)를 보여줍니다.',
+        'help.missing': '※ 옅은 회색 빈칸은 관측 자료가 없는 날입니다.',
+        'help.indicators': '※ <strong>보조 지표</strong>: 일 평균 기온의 7·30·90일 이동평균, 30일 평균 ±2 표준편차 변동 폭, 불러온 전체 기간의 추세선(10년당 변화량)을 겹쳐 그립니다. 추세는 계절 변화의 영향을 받으므로 여러 해를 불러와 볼 때 의미가 있습니다. 한 지역의 기간 보기에서만 표시됩니다.',
+        'help.view': '※ <strong>차트 모양</strong>: 막대 대신 띠(최저~최고 범위와 평균선), 선(최저·최고), 달력(요일×주 칸을 평균 기온이나 평년 대비 기온 색으로 칠함)으로 볼 수 있습니다. 달력에서는 한 칸이 하루이고, 한 줄이 한 주입니다.',
+        'help.secondary': '※ <strong>보조 차트</strong>: 강수량·습도·풍속·일조 시간을 기온 차트 아래에 함께 표시합니다. 해당 변수가 없는 기간은 \'자료 없음\'으로 표시됩니다.',
+        'help.zoom': '※ 차트를 드래그하거나 +/- 버튼을 눌러 확대/축소할 수 있습니다.',
+        'help.keys': '※ <strong>키보드</strong>: 차트를 선택한 뒤 ←/→ 키로 하루씩, Page Up/Page Down 키로 한 달씩 이동하고, Home/End 키로 그해의 처음/끝으로 갑니다. +/- 키로 확대/축소합니다.',
+        'help.edges': '※ 차트 끝까지 드래그하거나 축소하면 이전/다음 연도가 이어서 표시됩니다.',
+        'help.range': '※ <strong>기간</strong>: 시작일과 종료일을 고르거나 \'최근 7일\'·\'이번 계절\'·월 선택으로 원하는 기간만 볼 수 있습니다. 해가 바뀌는 기간도 이어서 보여 주며, 위쪽 선택 정보에 그 기간의 최저·최고 기온이 나옵니다.',
+        'help.stats': '※ <strong>보이는 기간 통계</strong>: 차트에 보이는 기간의 평균 최저·최고 기온, 가장 낮은·높은 기온과 가장 큰 일교차, 열대야(최저 {tropicalNight} 이상)·폭염일(최고 {heatwave} 이상)·영하일(최저 {freezing} 미만) 수를 보여 줍니다. 날짜가 붙은 값을 누르면 그날이 선택됩니다.',
+        'help.records': '※ <strong>역대 기록</strong>: 저장된 모든 해에서 가장 덥고 추운 날, 일교차가 가장 큰 날, 가장 길게 이어진 열대야·폭염·영하 기간과 해마다 봄의 마지막 서리·가을의 첫 서리 날짜를 찾아 보여 줍니다. 항목을 누르면 그해를 불러와 그날을 선택합니다.',
+        'help.stations': '※ <strong>함께 보기</strong>: 다른 지역을 고르면 같은 날짜에 지역별 색으로 나란히 그립니다.',
+        'help.compare': '※ <strong>연도 비교</strong>: 여러 해를 같은 날짜 축에 겹쳐 그립니다. 평년에는 2월 29일 자리가 비어 있습니다.',
+        'help.links': '※ 주소창의 링크에 지역·기간·선택한 날짜·보기 설정이 담겨 있어, 그대로 공유하면 같은 화면이 열립니다. 뒤로/앞으로 가기로 이전 화면을 다시 볼 수 있습니다.',
+        'help.offline': '※ 한 번 본 자료는 기기에 저장되어 인터넷 연결이 없어도 볼 수 있습니다. 홈 화면에 추가해 앱처럼 쓸 수도 있습니다.',
+        'help.preferences': '※ <strong>언어·단위·테마</strong>: 위쪽에서 화면 언어(한국어/English)와 온도 단위(°C/°F)를 바꿀 수 있습니다. 차트, 선택 정보, 내보낸 파일이 모두 고른 단위를 따릅니다. 테마는 기기의 밝은/어두운 화면 설정을 따르며, 밝게·어둡게·고대비(색각 이상이 있어도 구별하기 쉬운 색)로 직접 고를 수도 있습니다. 설정은 이 기기에 기억됩니다.',
+        'footer.credit': '아빠의 옛날 아이디어로 딸이 AI와 함께 만들었어요',
+        'embed.open': '전체 화면에서 보기'
+    },
+    en: {
+        'app.title': 'Past Weather Trends',
+        'app.heading': 'Past Weather Trends',
+        'date.full': '{month} {d}, {y}',
+        'date.day': '{month} {d}',
+        'date.year': '{y}',
+        'date.month': '{month}',
+        'date.none': '-',
+        'calendar.weekdays': 'Sun Mon Tue Wed Thu Fri Sat',
+        'unit.days': '{n} days',
+        'unit.days.one': '{n} day',
+        'noData': 'No data',
+        'temp.min': 'Low',
+        'temp.max': 'High',
+        'temp.mean': 'Mean',
+        'value.min': 'Low {value}',
+        'value.max': 'High {value}',
+        'value.mean': 'Mean {value}',
+        'value.range': 'Range {value}',
+        'value.vsPrevious': 'vs. previous day {value}',
+        'value.minMax': 'Low {min} · High {max}',
+        'value.minMaxRange': 'Low {min} · High {max} (range {range})',
+        'value.row': '{label}: low {min} / high {max}',
+        'value.anomaly': 'vs. normal: low {min} · high {max}',
+
+        'controls.group': 'Data selection',
+        'station.label': 'Station',
+        'year.label': 'Year',
+        'year.prev': 'Previous year',
+        'year.next': 'Next year',
+        'range.label': 'Period',
+        'range.from': 'Start date',
+        'range.to': 'End date',
+        'range.submit': 'Show',
+        'range.presets': 'Quick periods',
+        'range.last7': 'Last 7 days',
+        'range.last30': 'Last 30 days',
+        'range.last90': 'Last 90 days',
+        'range.season': 'This season',
+        'range.month': 'Show a month of this year',
+        'range.pickMonth': 'Month',
+        'stations.label': 'Compare stations',
+        'compare.button': 'Compare years',
+        'compare.years': 'Years to compare',
+        'records.button': 'Records',
+        'language.label': 'Language',
+        'unit.label': 'Temperature unit',
+        'theme.label': 'Theme',
+        'theme.auto': 'Theme: device setting',
+        'theme.light': 'Theme: light',
+        'theme.dark': 'Theme: dark',
+        'theme.contrast': 'Theme: high contrast',
+
+        'selection.yearValues': 'Temperatures by year',
+        'zoom.in': 'Zoom in',
+        'zoom.out': 'Zoom out',
+        'zoom.reset': 'Reset',
+        'zoom.all': 'All',
+        'help.drag': '※ Drag to move',
+        'export.menu': 'Export',
+        'export.group': 'Export the visible period',
+        'export.size': 'PNG size',
+        'export.size2400': '2400×1200 (high resolution)',
+        'export.size3840': '3840×2160 (high resolution)',
+        'export.compareTitle': '{station} year comparison ({years})',
+        'export.attribution': 'Data: {source}',
+        'indicator.menu': 'Indicators',
+        'indicator.ma7': '7-day moving average',
+        'indicator.ma30': '30-day moving average',
+        'indicator.ma90': '90-day moving average',
+        'indicator.bollinger': 'Variability band (30 days ±2σ)',
+        'indicator.trend': 'Trend',
+        'indicator.trendLine': 'Trend line',
+        'indicator.trendSlope': '{label} {slope}/decade',
+        'indicator.noData': '{label} (not enough data)',
+        'view.label': 'Chart style',
+        'view.candle': 'Candles',
+        'view.band': 'Band (low–high, mean)',
+        'view.line': 'Lines (low, high)',
+        'view.heatmap': 'Calendar (mean temperature)',
+        'view.heatmapAnomaly': 'Calendar (vs. normal)',
+        'color.label': 'Candle colours',
+        'color.previous': 'Colour: vs. previous day',
+        'color.normal': 'Colour: vs. normal',
+        'color.absolute': 'Colour: temperature',
+        'secondary.label': 'Secondary chart',
+        'secondary.none': 'No secondary chart',
+        'variable.precipitation': 'Precipitation',
+        'variable.humidity': 'Humidity',
+        'variable.wind_max': 'Max wind speed',
+        'variable.sunshine': 'Sunshine',
+
+        'chart.label': 'Daily temperature range chart',
+        'status.loading': 'Loading data...',
+        'legend.range': 'Low–high',
+        'legend.warmerThanPrevious': 'Warmer than the day before',
+        'legend.colderThanPrevious': 'Colder than the day before',
+        'legend.warmerThanNormal': 'Warmer than normal',
+        'legend.colderThanNormal': 'Colder than normal',
+        'legend.normals': 'Normal range',
+        'scale.anomaly': 'vs. normal',
+        'scale.mean': 'Mean temperature',
+        'scale.temperature': 'Temperature',
+
+        'table.caption': 'Daily temperatures in the visible period',
+        'table.date': 'Date',
+        'table.column': '{label} ({unit})',
+        'table.truncated': '(first {shown} of {total} days; zoom in to list every day)',
+        'summary.extremes': 'low {min} ({minDate}), high {max} ({maxDate})',
+
+        'stats.title': 'Statistics for the visible period',
+        'stats.select': 'Select this day on the chart',
+        'stats.days': 'Days with data',
+        'stats.dayCount': '{days} / {total} days',
+        'stats.meanMin': 'Mean low',
+        'stats.meanMax': 'Mean high',
+        'stats.lowest': 'Lowest',
+        'stats.highest': 'Highest',
+        'stats.widest': 'Largest daily range',
+        'stats.tropicalNights': 'Tropical nights (low ≥ {value})',
+        'stats.heatwaveDays': 'Heatwave days (high ≥ {value})',
+        'stats.freezingDays': 'Freezing days (low < {value})',
+
+        'records.title': 'All-time records',
+        'records.loading': 'Loading records...',
+        'records.failed': 'Could not load the records.',
+        'records.source': '{station}, data from {first} to {last}',
+        'records.none': 'No such days.',
+        'records.hottest': 'Hottest days',
+        'records.coldest': 'Coldest days',
+        'records.widest': 'Largest daily ranges',
+        'records.tropical_night': 'Longest tropical-night runs (low ≥ {value})',
+        'records.heatwave': 'Longest heatwaves (high ≥ {value})',
+        'records.freezing': 'Longest freezing runs (low < {value})',
+        'records.frost': 'Frost (low < {value})',
+        'records.year': 'Year',
+        'records.lastFrost': 'Last spring frost',
+        'records.firstFrost': 'First autumn frost',
+        'records.noFrost': 'None',
+
+        'offline.cached': 'Offline: showing saved data, which may not be the latest.',
+        'offline.disconnected': 'Offline: no internet connection. Only data you have already viewed is available.',
+        'error.stations': 'Station list not found',
+        'error.meta': 'Station information not found',
+        'error.year': 'Failed to load data for {year}',
+        'error.latest': 'Failed to load the latest data',
+        'error.compare': 'Failed to load data for comparison',
+        'error.image': 'Failed to create image',
+
+        'help.colors': '※ <strong>Candle colours</strong>: <span style="color:red">red</span> when the mean temperature is higher than the day before, <span style="color:blue">blue</span> when it is lower. The day before is used even when it is off screen or in the previous year. With \'vs. normal\' a day warmer than normal is red; with \'temperature\' candles go from blue to red with the temperature itself.',
+        'help.normals': '※ <strong>Grey bands</strong>: the normal range computed from every stored year. The dark band is the mean low to mean high, the light band the 10th to 90th percentile.',
+        'help.candles': '※ <strong>Candle length</strong>: the difference between the day\'s low and high (the daily range).',
+        'help.missing': '※ Light grey gaps are days without observations.',
+        'help.indicators': '※ <strong>Indicators</strong>: 7, 30 and 90-day moving averages of the daily mean, a ±2 standard deviation band around the 30-day mean, and a trend line over everything loaded (change per decade). The trend follows the seasons, so it means most with several years loaded. Shown for a single station\'s timeline only.',
+        'help.view': '※ <strong>Chart style</strong>: instead of candles, show a band (low–high range with the mean line), lines (low and high) or a calendar (weekday × week cells coloured by mean temperature or by the difference from normal). In the calendar each cell is a day and each column a week.',
+        'help.secondary': '※ <strong>Secondary chart</strong>: precipitation, humidity, wind speed or sunshine under the temperature chart. Periods without that variable are marked \'No data\'.',
+        'help.zoom': '※ Drag the chart, or use the +/- buttons to zoom in and out.',
+        'help.keys': '※ <strong>Keyboard</strong>: with the chart focused, ←/→ move one day, Page Up/Page Down one month, and Home/End go to the start/end of the year. +/- zoom in and out.',
+        'help.edges': '※ Dragging or zooming out past the edge of the chart brings in the previous/next year.',
+        'help.range': '※ <strong>Period</strong>: pick a start and end date, or use \'Last 7 days\', \'This season\' or a month, to show just that period. Periods may cross the new year; the selection panel above shows the period\'s low and high.',
+        'help.stats': '※ <strong>Statistics for the visible period</strong>: mean low and high, the lowest and highest temperature and the largest daily range, and the number of tropical nights (low ≥ {tropicalNight}), heatwave days (high ≥ {heatwave}) and freezing days (low < {freezing}) in the period on screen. Click a dated value to select that day.',
+        'help.records': '※ <strong>Records</strong>: the hottest and coldest days, the largest daily ranges, the longest runs of tropical nights, heatwave days and freezing days across every stored year, and each year\'s last spring and first autumn frost. Click an entry to load its year and select the day.',
+        'help.stations': '※ <strong>Compare stations</strong>: pick other stations to draw them side by side on the same dates, one colour per station.',
+        'help.compare': '※ <strong>Compare years</strong>: overlays several years on one calendar axis. Non-leap years leave Feb 29 empty.',
+        'help.links': '※ The link in the address bar holds the station, period, selected day and view settings, so sharing it opens the same view. Back/forward return to earlier views.',
+        'help.offline': '※ Data you have viewed is kept on this device and stays available without an internet connection. You can also add the app to your home screen.',
+        'help.preferences': '※ <strong>Language, units and theme</strong>: switch the language (한국어/English) and the temperature unit (°C/°F) at the top. The chart, selection panel and exported files all follow the chosen unit. The theme follows the light/dark setting of your device, or pick light, dark or high contrast (colours that stay distinct with colour vision deficiency) yourself. These choices are remembered on this device.',
+        'footer.credit': 'Built by a daughter, with AI, from her dad\'s old idea',
+        'embed.open': 'Open full chart'
+    }
+};
+
+function t(locale, key, params = {}) {
+    // Message in the locale's language ({name} placeholders filled from params); Korean if missing
+    const messages = MESSAGES[locale.language] || MESSAGES.ko;
+    let text = key in messages ? messages[key] : (MESSAGES.ko[key] || key);
+    if (params.n === 1 && `${key}.one` in messages) text = messages[`${key}.one`];
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function getTempSymbol(locale) {
+    return locale.unit === 'fahrenheit' ? '°F' : '°C';
+}
+
+function toDisplayTemp(locale, celsius) {
+    return locale.unit === 'fahrenheit' ? (celsius * 9 / 5) + 32 : celsius;
+}
+
+function formatTemp(locale, celsius, digits = 1) {
+    return `${Number(toDisplayTemp(locale, celsius).toFixed(digits))}${getTempSymbol(locale)}`;
+}
+
+function formatTempChange(locale, delta, signed = false, digits = 1) {
+    // Differences scale but do not shift: +1°C is +1.8°F
+    const value = Number((locale.unit === 'fahrenheit' ? delta * 9 / 5 : delta).toFixed(digits));
+    return `${signed && value > 0 ? '+' : ''}${value}${getTempSymbol(locale)}`;
+}
+
+function applyMessages(root, locale, params = {}) {
+    // Fills every data-i18n* node under root from the catalogue
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(locale, el.dataset.i18n, params);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+        el.innerHTML = t(locale, el.dataset.i18nHtml, params);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(locale, el.dataset.i18nAriaLabel, params));
+    });
+}
+
+// --- Themes ---
+// One palette per theme, read by the renderer for everything it draws and copied into CSS
+// custom properties on <html> (THEME_CSS_VARIABLES) for the page. 'auto' follows the device:
+// prefers-contrast: more, then prefers-color-scheme.
+const THEME_CHOICES = ['auto', 'light', 'dark', 'contrast'];
+const THEMES = {
+    light: {
+        background: '#ffffff',
+        surface: '#f8f9fa',       // Header, chart buttons
+        panel: '#f1f3f5',         // Selection panel
+        control: '#e9ecef',       // Toggle buttons
+        controlActive: '#dee2e6',
+        text: '#111111',
+        mutedText: '#555555',
+        border: '#333333',
+        softBorder: '#ced4da',
+        primary: '#0056b3',
+        onPrimary: '#ffffff',
+        warningBorder: '#b15928',
+        warningBackground: '#fff4e6',
+        tooltip: 'rgba(255, 255, 255, 0.95)',
+        chartText: '#333333',     // Legends, mean line, selection outlines
+        axisText: '#666666',
+        grid: '#eeeeee',
+        divider: '#cccccc',       // Year boundaries
+        crosshair: 'rgba(0, 0, 0, 0.4)',
+        missing: '#f1f3f5',       // Background of days without data
+        warm: '#e31a1c',
+        cold: '#1f78b4',
+        neutral: '#d63384',       // Candle with nothing to compare against
+        band: '#d63384',          // Min-max area in band mode
+        normals: '#868e96',
+        series: ['#e31a1c', '#1f78b4', '#33a02c', '#ff7f00', '#6a3d9a', '#b15928'],
+        indicators: { ma7: '#ff7f00', ma30: '#33a02c', ma90: '#6a3d9a', bollinger: '#0056b3', trend: '#111111' },
+        variables: { precipitation: '#1f78b4', humidity: '#33a02c', wind_max: '#6a3d9a', sunshine: '#ff7f00' }
+    },
+    dark: {
+        background: '#121417',
+        surface: '#1c1f24',
+        panel: '#22262c',
+        control: '#2b3038',
+        controlActive: '#363c45',
+        text: '#e9ecef',
+        mutedText: '#adb5bd',
+        border: '#8a939e',
+        softBorder: '#495057',
+        primary: '#4dabf7',
+        onPrimary: '#0b1a2a',
+        warningBorder: '#ff922b',
+        warningBackground: '#2b1d0e',
+        tooltip: 'rgba(28, 31, 36, 0.95)',
+        chartText: '#dee2e6',
+        axisText: '#adb5bd',
+        grid: '#2c3036',
+        divider: '#495057',
+        crosshair: 'rgba(255, 255, 255, 0.45)',
+        missing: '#25292f',
+        warm: '#ff6b6b',
+        cold: '#4dabf7',
+        neutral: '#f783ac',
+        band: '#f783ac',
+        normals: '#868e96',
+        series: ['#ff6b6b', '#4dabf7', '#69db7c', '#ffa94d', '#b197fc', '#e8a87c'],
+        indicators: { ma7: '#ffa94d', ma30: '#69db7c', ma90: '#b197fc', bollinger: '#74c0fc', trend: '#f1f3f5' },
+        variables: { precipitation: '#4dabf7', humidity: '#69db7c', wind_max: '#b197fc', sunshine: '#ffa94d' }
+    },
+    // Black on white with the Okabe-Ito colours, which stay distinct with colour vision deficiency
+    contrast: {
+        background: '#ffffff',
+        surface: '#ffffff',
+        panel: '#ffffff',
+        control: '#ffffff',
+        controlActive: '#e0e0e0',
+        text: '#000000',
+        mutedText: '#000000',
+        border: '#000000',
+        softBorder: '#000000',
+        primary: '#0047ab',
+        onPrimary: '#ffffff',
+        warningBorder: '#000000',
+        warningBackground: '#ffffff',
+        tooltip: '#ffffff',
+        chartText: '#000000',
+        axisText: '#000000',
+        grid: '#bdbdbd',
+        divider: '#000000',
+        crosshair: 'rgba(0, 0, 0, 0.8)',
+        missing: '#e0e0e0',
+        warm: '#d55e00',
+        cold: '#0072b2',
+        neutral: '#000000',
+        band: '#cc79a7',
+        normals: '#7f7f7f',
+        series: ['#d55e00', '#0072b2', '#009e73', '#e69f00', '#cc79a7', '#56b4e9'],
+        indicators: { ma7: '#e69f00', ma30: '#009e73', ma90: '#cc79a7', bollinger: '#56b4e9', trend: '#000000' },
+        variables: { precipitation: '#0072b2', humidity: '#009e73', wind_max: '#cc79a7', sunshine: '#e69f00' }
+    }
+};
+// Palette key -> custom property used by style.css
+const THEME_CSS_VARIABLES = {
+    background: '--bg-color',
+    surface: '--surface-color',
+    panel: '--panel-color',
+    control: '--control-color',
+    controlActive: '--control-active-color',
+    text: '--text-color',
+    mutedText: '--muted-text-color',
+    border: '--border-color',
+    softBorder: '--soft-border-color',
+    primary: '--primary-color',
+    onPrimary: '--on-primary-color',
+    warningBorder: '--warning-border-color',
+    warningBackground: '--warning-bg-color',
+    tooltip: '--tooltip-bg',
+    grid: '--grid-color',
+    warm: '--candle-up',
+    cold: '--candle-down'
+};
+
+// Each WeatherApp holds its own appearance ({ choice, theme }: the choice and the theme it resolves
+// to) and shares it with its chart, which reads its palette from it (ChartRenderer.getPalette)
+
+function resolveTheme(choice) {
+    if (choice !== 'auto') return choice;
+    const matches = (query) => Boolean(window.matchMedia && window.matchMedia(query).matches);
+    if (matches('(prefers-contrast: more)')) return 'contrast';
+    return matches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+}
+
+function applyThemeVariables(root, theme) {
+    const palette = THEMES[theme];
+    Object.entries(THEME_CSS_VARIABLES).forEach(([key, property]) => {
+        root.style.setProperty(property, palette[key]);
+    });
+    root.style.colorScheme = theme === 'dark' ? 'dark' : 'light'; // Native form controls and scrollbars
+    root.dataset.theme = theme;
+}
+
+// --- Calendar Helpers ---
+// Year-over-year comparison uses a leap-year calendar (366 slots), so Feb 29 has its own
+// slot and non-leap years simply leave it empty instead of shifting March onwards.
+const MONTH_OFFSETS = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+const CALENDAR_DAYS = 366;
+const CALENDAR_KEYS = (() => {
+    const lengths = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    const keys = [];
+    lengths.forEach((length, m) => {
+        for (let d = 1; d <= length; d++) {
+            keys.push(`${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`);
+        }
+    });
+    return keys;
+})();
+
+function getCalendarIndex(dateStr) {
+    // 'YYYY-MM-DD' -> 0..365
+    const [, m, d] = dateStr.split('-').map(Number);
+    return MONTH_OFFSETS[m - 1] + d - 1;
+}
+
+function addDaysToDate(dateStr, count) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+function addMonthsToDate(dateStr, count) {
+    // Same day of another month, clamped to that month's length (Mar 31 - 1 month = Feb 28/29)
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const first = new Date(Date.UTC(y, m - 1 + count, 1));
+    const length = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    first.setUTCDate(Math.min(d, length));
+    return first.toISOString().slice(0, 10);
+}
+
+function formatSlotKey(locale, key) {
+    // 'YYYY-MM-DD' -> 'YYYY년 M월 D일' / 'Mon D, YYYY', 'MM-DD' -> 'M월 D일' / 'Mon D'
+    const parts = key.split('-').map(Number);
+    const [m, d] = parts.slice(-2);
+    const params = { y: parts[0], m, d, month: MONTH_NAMES[m - 1] };
+    return t(locale, parts.length === 3 ? 'date.full' : 'date.day', params);
+}
+
+// --- Missing Days ---
+// Days absent from a year file become placeholder rows ([date, null, null, ...]) so the
+// chart keeps one slot per calendar day and shows the hole instead of closing it up.
+
+function makeGapRows(fromDate, toDate) {
+    // Placeholder rows for fromDate (inclusive) .. toDate (exclusive)
+    const rows = [];
+    for (let date = fromDate; date < toDate; date = addDaysToDate(date, 1)) {
+        rows.push([date, ...new Array(DAY_COLUMNS.length - 1).fill(null)]);
+    }
+    return rows;
+}
+
+function fillDateGaps(days, startDate) {
+    const filled = [];
+    let expected = startDate;
+    days.forEach(day => {
+        if (day[0] > expected) filled.push(...makeGapRows(expected, day[0]));
+        filled.push(day);
+        expected = addDaysToDate(day[0], 1);
+    });
+    return filled;
+}
+
+function isMissingDay(day) {
+    return !day || day[1] === null || day[2] === null;
+}
+
+function getDayMean(day) {
+    // Daily mean from the data when present, otherwise the midpoint of min and max
+    const mean = day[DAY_COLUMNS.indexOf('mean')];
+    return mean !== null && mean !== undefined ? mean : (day[1] + day[2]) / 2;
+}
+
+// --- Indicators ---
+
+function rollingStats(values, size) {
+    // Trailing mean and standard deviation over `size` days; null until half of them are present
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+
+    values.forEach((value, i) => {
+        if (value !== null) {
+            sum += value;
+            sumSq += value * value;
+            count++;
+        }
+        const dropped = i >= size ? values[i - size] : null;
+        if (dropped !== null) {
+            sum -= dropped;
+            sumSq -= dropped * dropped;
+            count--;
+        }
+        if (count >= size / 2) {
+            const mean = sum / count;
+            result[i] = { mean, sd: Math.sqrt(Math.max(0, (sumSq / count) - (mean * mean))) };
+        }
+    });
+    return result;
+}
+
+function linearTrend(values) {
+    // Least-squares line through (index, value) pairs, skipping nulls: { slope, intercept } per day
+    let n = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let sumXY = 0;
+    let sumXX = 0;
+    values.forEach((y, x) => {
+        if (y === null) return;
+        n++;
+        sumX += x;
+        sumY += y;
+        sumXY += x * y;
+        sumXX += x * x;
+    });
+
+    const denominator = (n * sumXX) - (sumX * sumX);
+    if (n < 2 || denominator === 0) return null;
+    const slope = ((n * sumXY) - (sumX * sumY)) / denominator;
+    return { slope, intercept: (sumY - (slope * sumX)) / n };
+}
+
+// --- Range Statistics ---
+// Day counts shown in the stats panel (°C); tropical nights and heatwave days follow the KMA definitions
+const STAT_THRESHOLDS = {
+    tropicalNight: 25, // min >= 25
+    heatwave: 33,      // max >= 33
+    freezing: 0        // min < 0
+};
+
+function getRangeStats(values, start, end) {
+    // values[slot] = [min, max] or null; summary of slots start..end-1, extremes as { index, value }
+    const stats = {
+        total: Math.max(0, end - start),
+        days: 0,
+        meanMin: null,
+        meanMax: null,
+        lowest: null,
+        highest: null,
+        widest: null,
+        tropicalNights: 0,
+        heatwaveDays: 0,
+        freezingDays: 0
+    };
+    let sumMin = 0;
+    let sumMax = 0;
+
+    for (let index = start; index < end; index++) {
+        const value = values[index];
+        if (!value) continue;
+        const [min, max] = value;
+        stats.days++;
+        sumMin += min;
+        sumMax += max;
+
+        if (!stats.lowest || min < stats.lowest.value) stats.lowest = { index, value: min };
+        if (!stats.highest || max > stats.highest.value) stats.highest = { index, value: max };
+        if (!stats.widest || max - min > stats.widest.value) stats.widest = { index, value: max - min };
+
+        if (min >= STAT_THRESHOLDS.tropicalNight) stats.tropicalNights++;
+        if (max >= STAT_THRESHOLDS.heatwave) stats.heatwaveDays++;
+        if (min < STAT_THRESHOLDS.freezing) stats.freezingDays++;
+    }
+
+    if (stats.days > 0) {
+        stats.meanMin = sumMin / stats.days;
+        stats.meanMax = sumMax / stats.days;
+    }
+    return stats;
+}
+
+// --- Heatmap Colours ---
+// Cold-to-warm ramp shared by the mean and anomaly scales (0 = coldest, 1 = warmest)
+const HEATMAP_STOPS = [
+    [0, [49, 54, 149]],
+    [0.25, [116, 173, 209]],
+    [0.5, [255, 255, 191]],
+    [0.75, [244, 109, 67]],
+    [1, [165, 0, 38]]
+];
+const ANOMALY_RANGE = 8; // °C either side of normal at the ends of the anomaly scale
+
+// Fixed range for the 'absolute' candle colours, so the same colour means the same temperature everywhere
+const ABSOLUTE_SCALE = { min: -20, max: 35 };
+
+function getHeatmapColor(t) {
+    const clamped = Math.max(0, Math.min(1, t));
+    const upper = HEATMAP_STOPS.findIndex(stop => stop[0] >= clamped);
+    if (upper <= 0) return `rgb(${HEATMAP_STOPS[0][1].join(',')})`;
+
+    const [t0, c0] = HEATMAP_STOPS[upper - 1];
+    const [t1, c1] = HEATMAP_STOPS[upper];
+    const f = (clamped - t0) / (t1 - t0);
+    return `rgb(${c0.map((c, i) => Math.round(c + (c1[i] - c) * f)).join(',')})`;
+}
 
 // --- Data Manager ---
-class DataManager {
-    constructor() {
+export class DataManager {
+    constructor(baseUrl = DATA_BASE_URL) {
+        this.baseUrl = baseUrl; // Folder holding stations.json and the station folders
         // Cache: Map<StationId, Map<Year, Data>>
-        // But simpler: just Map<Key, Data> where Key = `${stationId}-${year}`
+        // But simpler: just Map<Key, Data> where Key = `${stationId}-${year}` (or `${stationId}-bundle`)
         this.cache = new Map();
         this.accessHistory = []; // To track LRU
+        this.normalsCache = new Map(); // StationId -> normals.json (small, kept for the session)
+        this.recordsCache = new Map(); // StationId -> records.json
+        this.bundleFiles = new Map(); // StationId -> bundle file named in meta.json
+        this.dataVersions = new Map(); // StationId -> data version from meta.json
+
+        // Called after every response: (fromOfflineCache) => void
+        this.onResponse = null;
+    }
+
+    async request(url) {
+        // fetch() that reports whether the service worker answered from its offline cache
+        const res = await fetch(url);
+        const fromCache = Boolean(res.headers && res.headers.get(OFFLINE_HEADER) === '1');
+        if (this.onResponse) this.onResponse(fromCache);
+        return res;
+    }
+
+    setDataVersion(stationId, meta) {
+        // The generator stamps meta.json with a checksum of the year files; a new one means
+        // the year files changed, so copies held in memory are dropped
+        const version = meta.checksum || meta.last_updated || null;
+        const previous = this.dataVersions.get(stationId);
+        if (previous !== undefined && previous !== version) {
+            Array.from(this.cache.keys())
+                .filter(key => key.startsWith(`${stationId}-`))
+                .forEach(key => this.removeFromCache(key));
+            this.normalsCache.delete(stationId);
+            this.recordsCache.delete(stationId);
+        }
+        this.dataVersions.set(stationId, version);
+        this.bundleFiles.set(stationId, meta.bundle || null);
+    }
+
+    getVersionQuery(stationId) {
+        // The version lets the service worker keep data files until the data changes
+        const version = this.dataVersions.get(stationId);
+        return version ? `?v=${encodeURIComponent(version)}` : '';
     }
 
     getKey(stationId, year) {
@@ -29,16 +832,56 @@ class DataManager {
 
     async fetchMeta(stationId) {
         try {
-            const res = await fetch(`${DATA_BASE_URL}/${stationId}/meta.json`);
+            const res = await this.request(`${this.baseUrl}/${stationId}/meta.json`);
             if (!res.ok) throw new Error('Meta not found');
-            return await res.json();
+            const meta = await res.json();
+            this.setDataVersion(stationId, meta);
+            return meta;
         } catch (e) {
             console.warn("Fetch failed:", e);
-            // Fallback for local file:// usage
-            if (window.location.protocol === 'file:') {
-                console.info("Running in local file mode. Using Mock Data.");
-                return this.getMockMeta(stationId);
-            }
+            return null;
+        }
+    }
+
+    async fetchStations() {
+        // Station registry shared with the generator: { stations: [{ id, name_ko, name_en, ... }] }
+        try {
+            const res = await this.request(`${this.baseUrl}/stations.json`);
+            if (!res.ok) throw new Error('Station registry not found');
+            const registry = await res.json();
+            return registry.stations;
+        } catch (e) {
+            console.warn("Fetch failed:", e);
+            return [];
+        }
+    }
+
+    async fetchNormals(stationId) {
+        // Optional per-station climatology; the chart works without it
+        if (this.normalsCache.has(stationId)) return this.normalsCache.get(stationId);
+        try {
+            const res = await this.request(`${this.baseUrl}/${stationId}/normals.json`);
+            if (!res.ok) throw new Error('Normals not found');
+            const normals = await res.json();
+            this.normalsCache.set(stationId, normals);
+            return normals;
+        } catch (e) {
+            console.warn("Normals unavailable:", e);
+            return null;
+        }
+    }
+
+    async fetchRecords(stationId) {
+        // Precomputed all-time records; null when the generator has not written them
+        if (this.recordsCache.has(stationId)) return this.recordsCache.get(stationId);
+        try {
+            const res = await this.request(`${this.baseUrl}/${stationId}/records.json`);
+            if (!res.ok) throw new Error('Records not found');
+            const records = await res.json();
+            this.recordsCache.set(stationId, records);
+            return records;
+        } catch (e) {
+            console.warn("Records unavailable:", e);
             return null;
         }
     }
@@ -53,68 +896,92 @@ class DataManager {
         }
 
         console.log(`Fetching ${key}...`);
-        try {
-            const res = await fetch(`${DATA_BASE_URL}/${stationId}/${year}.json`);
+        // One bundle download serves every year of the station; without one, fetch the year file
+        const bundle = await this.fetchBundle(stationId);
+        const block = bundle && bundle.years.find(b => b.year === year);
+        let data;
+        if (block) {
+            data = this.normalizeYearData(this.expandBundleYear(bundle, block));
+        } else {
+            const res = await this.request(`${this.baseUrl}/${stationId}/${year}.json${this.getVersionQuery(stationId)}`);
             if (!res.ok) throw new Error(`Data for ${year} not found`);
-            const data = await res.json();
+            data = this.normalizeYearData(await res.json());
+        }
 
-            this.addToCache(key, data);
-            return data;
-        } catch (e) {
-            if (window.location.protocol === 'file:') {
-                return this.getMockData(stationId, year);
-            }
-            throw e;
+        this.addToCache(key, data);
+        return data;
+    }
+
+    fetchBundle(stationId) {
+        // Columnar bundle of all years; null sends callers to the year files. It is kept in the
+        // year cache under `${stationId}-bundle`, so bundles count against MAX_CACHE_SIZE as well
+        const file = this.bundleFiles.get(stationId);
+        if (!file) return Promise.resolve(null);
+
+        const key = this.getKey(stationId, 'bundle');
+        if (this.cache.has(key)) {
+            this.updateAccess(key);
+            return this.cache.get(key);
         }
+
+        const pending = this.request(`${this.baseUrl}/${stationId}/${file}${this.getVersionQuery(stationId)}`)
+            .then(async res => {
+                if (!res.ok) throw new Error('Bundle not found');
+                const bundle = await res.json();
+                if (bundle.format !== 'columnar' || !Array.isArray(bundle.years)) {
+                    throw new Error(`Unsupported bundle format "${bundle.format}"`);
+                }
+                return bundle;
+            })
+            .catch(e => {
+                console.warn("Bundle unavailable, using year files:", e);
+                // Not asked for again until meta.json is reloaded
+                this.bundleFiles.set(stationId, null);
+                this.removeFromCache(key);
+                return null;
+            });
+        // Shared so that years requested together wait for the same download
+        this.addToCache(key, pending);
+        return pending;
     }
 
-    // --- Mock Data for Local Testing ---
-    getMockMeta(stationId) {
-        // Simple mock returning 2020-2024
+    expandBundleYear(bundle, block) {
+        // Columnar { year, start, columns, values } -> year file rows; dates follow from `start`
+        const length = block.values.length > 0 ? block.values[0].length : 0;
+        const days = [];
+        for (let i = 0, date = block.start; i < length; i++, date = addDaysToDate(date, 1)) {
+            days.push([date, ...block.values.map(column => column[i])]);
+        }
         return {
-            station_id: stationId,
-            name_en: "Local Test",
-            available_years: [2020, 2021, 2022, 2023, 2024, 2025]
+            station: bundle.station,
+            year: block.year,
+            unit: bundle.unit,
+            columns: ['date', ...block.columns],
+            days
         };
     }
 
-    getMockData(stationId, year) {
-        console.info(`Generating mock data for ${year}`);
-        // Generate pseudo-random realistic looking data
-        const days = [];
-        const isLeap = (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
-        const daysInMonth = [31, isLeap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-
-        // Base temp curve for Korea (Cold winter, Hot summer)
-        // Jan: -5, Aug: 30
-        let currentYear = year;
-
-        let dayCount = 0;
-        for (let m = 0; m < 12; m++) {
-            for (let d = 1; d <= daysInMonth[m]; d++) {
-                // Approximate seasonality
-                // Day of year 0-365
-                dayCount++;
-                const angle = ((dayCount - 15) / 365) * 2 * Math.PI; // Shifted so coldest is mid-Jan
-                const baseTemp = 12.5 - 15 * Math.cos(angle);
-
-                // Random variation
-                const dailyVar = (Math.random() - 0.5) * 10;
-                const min = parseFloat((baseTemp + dailyVar - 5).toFixed(1));
-                const max = parseFloat((baseTemp + dailyVar + 5).toFixed(1));
-
-                const monthStr = String(m + 1).padStart(2, '0');
-                const dayStr = String(d).padStart(2, '0');
-
-                days.push([`${currentYear}-${monthStr}-${dayStr}`, min, max]);
-            }
+    normalizeYearData(data) {
+        // Any schema -> rows in DAY_COLUMNS order, so years with different variables can be joined.
+        // Missing dates inside the year become placeholder rows.
+        const columns = data.columns || ['date', 'min', 'max'];
+        let days = data.days;
+        if (columns.join() !== DAY_COLUMNS.join()) {
+            const indices = DAY_COLUMNS.map(column => columns.indexOf(column));
+            days = days.map(row => indices.map(i => (i === -1 || row[i] === undefined ? null : row[i])));
+        }
+
+        // Temperatures are kept in °C; the display unit is applied when drawing
+        if (data.unit === 'fahrenheit') {
+            const toCelsius = (value) => (value === null ? null : Math.round((value - 32) * 50 / 9) / 10);
+            days = days.map(row => row.map((value, i) => (i >= 1 && i <= 3 ? toCelsius(value) : value)));
         }
 
         return {
-            station: stationId,
-            year: year,
-            unit: "celsius",
-            days: days
+            ...data,
+            unit: 'celsius',
+            columns: DAY_COLUMNS,
+            days: fillDateGaps(days, `${data.year}-01-01`)
         };
     }
 
@@ -131,6 +998,11 @@ class DataManager {
         }
     }
 
+    removeFromCache(key) {
+        this.cache.delete(key);
+        this.accessHistory = this.accessHistory.filter(k => k !== key);
+    }
+
     updateAccess(key) {
         // Remove existing
         this.accessHistory = this.accessHistory.filter(k => k !== key);
@@ -140,16 +1012,70 @@ class DataManager {
 }
 
 // --- Chart Renderer ---
-class ChartRenderer {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
+export class ChartRenderer {
+    // settings: { locale, appearance } shared with the owning WeatherApp
+    constructor(canvas, root = document, settings = {}) {
+        this.canvas = canvas;
+        this.root = root; // Holds the selection panel, tooltip, stats panel and text alternative
+        this.locale = settings.locale || { ...DEFAULT_LOCALE };
+        this.appearance = settings.appearance || { choice: 'auto', theme: 'light' };
         this.ctx = this.canvas.getContext('2d');
         this.data = null;
+        this.segments = []; // Loaded years in timeline order: [{ year, start, length }]
+        this.dayBefore = null; // Day before the first loaded one (Dec 31 of a year not on the timeline), or null
+
+        // Compare mode: several years overlaid on one calendar axis
+        this.mode = 'timeline'; // 'timeline' | 'compare'
+        this.compare = null;    // { series: [{ year, label, color, days, values }] }
+        this.timelineView = null; // Timeline window saved while comparing
+
+        // Other stations drawn alongside the timeline: [{ id, label, color, byDate: Map<date, [min, max]> }]
+        this.primaryStation = null; // { label, color } of the station in this.data
+        this.stationOverlays = [];
+
+        // Climatological normals per calendar slot: [{ min_mean, max_mean, min_p10, ... } | null]
+        this.normals = null;
+
+        // Secondary panel under the candles: a key of VARIABLES or null
+        this.secondaryVariable = null;
+
+        // How days are drawn: one of RENDER_MODES
+        this.renderMode = 'candle';
+
+        // Active overlays: keys of INDICATORS
+        this.indicators = new Set();
+        this.indicatorCache = null; // { days, indicators, result } of the last getIndicatorData
+
+        // Single-station candle colours: one of COLOR_RULES
+        this.colorRule = 'previous';
+
+        this.pixelRatio = 1; // Canvas pixels per layout pixel
+        this.resizeObserver = null; // Set in initEvents where supported
+        this.describeTimer = null; // Pending rebuild of the screen-reader summary, table and stats panel
+        this.describedTable = null; // What the screen-reader table shows, to skip rebuilding it unchanged
+
+        // The selection panel describes the window (a chosen date range) rather than one day
+        this.showingRange = false;
+
+        // Mouse crosshair: { index, y } of the slot under the pointer, null when not hovering
+        this.hover = null;
+        this.tooltip = root.querySelector('.tooltip');
+
+        // Statistics of the visible window, under the chart
+        this.statsPanel = root.querySelector('.stats-panel');
+
+        // Removes the window listeners in destroy()
+        this.listeners = new AbortController();
+
+        // Callbacks (set by the app controller)
+        this.onEdgeReached = null;  // (direction) => void, direction: -1 = earlier, 1 = later
+        this.onWindowChange = null; // () => void
+        this.onSelectionChange = null; // () => void
 
         // View State
         this.startIndex = 0;
         this.visibleCount = 365; // Default full year
-        this.minVisible = 14;    // Min 2 weeks
+        this.minVisible = 7;     // Min 1 week (the shortest range preset)
 
         // Interaction State
         this.isDragging = false;
@@ -160,21 +1086,44 @@ class ChartRenderer {
         this.initEvents();
     }
 
+    getPalette() {
+        return THEMES[this.appearance.theme];
+    }
+
+    getSeriesColor(index) {
+        const { series } = this.getPalette();
+        return series[index % series.length];
+    }
+
     initEvents() {
+        const { signal } = this.listeners;
         this.resize();
-        window.addEventListener('resize', () => {
+        // Follow the container, which can change size without the window (embeds, late stylesheets)
+        const onResize = () => {
             this.resize();
             this.draw();
-        });
+        };
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(onResize);
+            this.resizeObserver.observe(this.canvas.parentElement);
+        } else {
+            window.addEventListener('resize', onResize, { signal });
+        }
 
         // Mouse Events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrag(e.clientX));
-        window.addEventListener('mousemove', (e) => this.drag(e.clientX));
-        window.addEventListener('mouseup', () => this.endDrag());
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.clearHover();
+            this.startDrag(e.clientX);
+        });
+        window.addEventListener('mousemove', (e) => this.drag(e.clientX), { signal });
+        window.addEventListener('mouseup', () => this.endDrag(), { signal });
         this.canvas.addEventListener('click', (e) => this.handleClick(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.canvas.addEventListener('mouseleave', () => this.clearHover());
 
         // Touch Events
         this.canvas.addEventListener('touchstart', (e) => {
+            this.clearHover(); // The crosshair is for mouse pointers only
             if (e.touches.length === 1) {
                 this.startDrag(e.touches[0].clientX);
             } else if (e.touches.length === 2) {
@@ -198,14 +1147,25 @@ class ChartRenderer {
                 this.zoom(zoomFactor);
                 this.lastTouchDistance = dist;
             }
-        }, { passive: false });
+        }, { passive: false, signal });
 
         window.addEventListener('touchend', (e) => {
             this.endDrag();
             if (e.touches.length < 2) {
                 this.isZooming = false;
             }
-        });
+        }, { signal });
+
+        // Keyboard: the canvas is focusable (tabindex="0")
+        this.canvas.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Extremes in the stats panel select their day
+        if (this.statsPanel) {
+            this.statsPanel.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-slot]');
+                if (button) this.selectDate(button.dataset.slot);
+            });
+        }
 
         // Wheel Zoom
         this.canvas.addEventListener('wheel', (e) => {
@@ -214,15 +1174,100 @@ class ChartRenderer {
             // Note: My zoom func: Positive = In, Negative = Out
             // So Wheel Down -> deltaY > 0 -> should be Negative amount
             this.zoom(direction * 0.1);
+            this.handleHover(e); // A different day is under the pointer now
         }, { passive: false });
     }
 
+    handleKeyDown(e) {
+        // Arrows: one day, Page Up/Down: one month, Home/End: year edges, +/-: zoom
+        if (!this.data || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const hasSelection = this.selectedIndex !== null && this.selectedIndex !== undefined;
+        // Without a selection the first key press picks the day in the middle of the window
+        const current = hasSelection ? this.selectedIndex : Math.floor(this.startIndex + this.visibleCount / 2);
+        const step = hasSelection ? 1 : 0;
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowLeft': target = current - step; break;
+            case 'ArrowRight': target = current + step; break;
+            case 'PageUp': target = hasSelection ? this.getMonthSlot(current, -1) : current; break;
+            case 'PageDown': target = hasSelection ? this.getMonthSlot(current, 1) : current; break;
+            case 'Home': target = this.getYearEdgeSlot(current, -1); break;
+            case 'End': target = this.getYearEdgeSlot(current, 1); break;
+            case '+':
+            case '=':
+                this.zoom(0.25);
+                break;
+            case '-':
+            case '_':
+                this.zoom(-0.25);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+
+        if (target !== null) {
+            const index = Math.max(0, Math.min(this.getSlotCount() - 1, target));
+            this.revealSlot(index);
+            this.selectDay(index);
+        }
+    }
+
+    getMonthSlot(index, count) {
+        // Slot one month away; past either end of the loaded data it stops at the last slot
+        const key = this.getSlotKey(index);
+        const target = this.mode === 'compare'
+            ? addMonthsToDate(`2000-${key}`, count) // Any leap year matches the calendar axis
+            : addMonthsToDate(key, count);
+        const found = this.findSlot(this.mode === 'compare' ? target.slice(5) : target);
+        if (found >= 0 && (this.mode !== 'compare' || target.startsWith('2000'))) return found;
+        return count < 0 ? 0 : this.getSlotCount() - 1;
+    }
+
+    getYearEdgeSlot(index, direction) {
+        // First/last day of the selected day's year; from an edge, the edge of the year beyond
+        if (this.mode === 'compare') return direction < 0 ? 0 : CALENDAR_DAYS - 1;
+
+        const i = this.segments.findIndex(s => index >= s.start && index < s.start + s.length);
+        if (i === -1) return index;
+        const segment = this.segments[i];
+        const first = segment.start;
+        const last = segment.start + segment.length - 1;
+
+        if (direction < 0) {
+            if (index > first || i === 0) return first;
+            return this.segments[i - 1].start;
+        }
+        if (index < last || i === this.segments.length - 1) return last;
+        const next = this.segments[i + 1];
+        return next.start + next.length - 1;
+    }
+
+    revealSlot(index) {
+        // Pans just enough to bring a slot into the window
+        if (index >= this.startIndex && index < this.startIndex + this.visibleCount) return;
+        if (index < this.startIndex) this.startIndex = index;
+        else this.startIndex = index - this.visibleCount + 1;
+        this.clampWindow();
+        this.draw();
+        this.handleWindowChange();
+    }
+
     getTouchDistance(touches) {
         const dx = touches[0].clientX - touches[1].clientX;
         const dy = touches[0].clientY - touches[1].clientY;
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    destroy() {
+        // Stops listening to the window; the canvas and panels go away with their element
+        this.listeners.abort();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearTimeout(this.describeTimer);
+    }
+
     resize() {
         const container = this.canvas.parentElement;
         this.canvas.width = container.clientWidth;
@@ -230,7 +1275,14 @@ class ChartRenderer {
     }
 
     setData(data) {
-        this.data = data; // { days: [[date, min, max], ...], unit }
+        // Resets the timeline to a single year: { year, days: [[date, min, max], ...], unit }
+        this.data = data ? { unit: data.unit, days: data.days.slice() } : null;
+        this.segments = data ? [{ year: data.year, start: 0, length: data.days.length }] : [];
+        this.dayBefore = null;
+        this.selectedIndex = null;
+        this.showingRange = false;
+        this.hover = null;
+        if (this.tooltip) this.tooltip.classList.add('hidden');
         if (data && data.days) {
             this.startIndex = 0;
             this.visibleCount = data.days.length;
@@ -238,414 +1290,3179 @@ class ChartRenderer {
         this.draw();
     }
 
-    // --- Interaction Methods ---
+    extendData(data, direction) {
+        // Joins an adjacent year onto the timeline. direction: -1 = prepend, 1 = append
+        if (!this.data) return this.setData(data);
+        if (this.hasYear(data.year)) return;
 
-    startDrag(x) {
-        this.isDragging = true;
-        this.lastX = x;
-        this.canvas.style.cursor = 'grabbing';
-    }
+        if (direction < 0) {
+            // Pad the end of the earlier year up to the timeline's first day
+            const lastDate = data.days[data.days.length - 1][0];
+            const days = data.days.concat(makeGapRows(addDaysToDate(lastDate, 1), this.data.days[0][0]));
+            const length = days.length;
 
-    drag(x) {
-        if (!this.isDragging || !this.scaleInfo) return;
+            this.data.days = days.concat(this.data.days);
+            this.segments.forEach(s => s.start += length);
+            this.segments.unshift({ year: data.year, start: 0, length });
+            this.dayBefore = null;
 
-        const dx = x - this.lastX;
-        this.lastX = x;
+            // Keep the same days on screen
+            this.startIndex += length;
+            if (this.selectedIndex !== undefined && this.selectedIndex !== null) {
+                this.selectedIndex += length;
+            }
+            if (this.hover) this.hover.index += length;
+        } else {
+            // Pad the end of the timeline up to the new year's first day
+            const lastDate = this.data.days[this.data.days.length - 1][0];
+            const pad = makeGapRows(addDaysToDate(lastDate, 1), data.days[0][0]);
+            this.segments[this.segments.length - 1].length += pad.length;
 
-        // Pan Calculation
-        // dx pixels corresponds to how many bars?
-        const barsMoved = dx / this.scaleInfo.barWidth;
+            this.segments.push({ year: data.year, start: this.data.days.length + pad.length, length: data.days.length });
+            this.data.days = this.data.days.concat(pad, data.days);
+        }
+        this.draw();
+    }
 
-        this.startIndex -= barsMoved;
+    setCompareData(series) {
+        // series: [{ year, label, color, days }]
+        const entering = this.mode !== 'compare';
+        if (entering) {
+            this.timelineView = {
+                startIndex: this.startIndex,
+                visibleCount: this.visibleCount,
+                selectedIndex: this.selectedIndex
+            };
+            this.startIndex = 0;
+            this.visibleCount = CALENDAR_DAYS;
+            this.selectedIndex = null;
+        }
+
+        this.mode = 'compare';
+        this.setPanelMode(true);
+        this.compare = {
+            series: series.map(s => {
+                const values = new Array(CALENDAR_DAYS).fill(null);
+                s.days.forEach(d => {
+                    if (!isMissingDay(d)) values[getCalendarIndex(d[0])] = [d[1], d[2]];
+                });
+                return { ...s, values };
+            })
+        };
         this.clampWindow();
+
+        if (this.selectedIndex !== null && this.selectedIndex !== undefined) {
+            this.updateCompareInfoPanel(this.selectedIndex);
+        }
         this.draw();
     }
 
-    endDrag() {
-        this.isDragging = false;
-        this.canvas.style.cursor = 'grab';
+    clearCompareData() {
+        if (this.mode !== 'compare') return;
+        this.mode = 'timeline';
+        this.setPanelMode(this.stationOverlays.length > 0);
+        this.compare = null;
+        if (this.timelineView) {
+            Object.assign(this, this.timelineView);
+            this.timelineView = null;
+        }
+        this.clampWindow();
+        if (this.selectedIndex !== null && this.selectedIndex !== undefined) {
+            this.updateInfoPanel(this.data.days[this.selectedIndex]);
+        }
+        this.draw();
     }
 
-    zoom(amount) {
-        console.log(`Zooming by ${amount}. Current Visible: ${this.visibleCount}`);
-        // Amount: +ve zoom out (show more), -ve zoom in (show less)
-        // Wait, typical UI: + to Zoom In (show less), - to Zoom Out (show more)
-        // Let's standardize: pass POSITIVE to zoom IN (reduce count), NEGATIVE to zoom OUT
+    setPanelMode(isList) {
+        // Single min/max readout for one series, one row per year/station when comparing
+        const tempsEl = this.root.querySelector('.selection-panel .selected-temps');
+        const listEl = this.root.querySelector('.selection-panel .compare-values');
+        const dateEl = this.root.querySelector('.selection-panel .selected-date');
+        if (!tempsEl || !listEl || !dateEl) return;
 
-        if (!this.data) return;
+        tempsEl.classList.toggle('hidden', isList);
+        listEl.classList.toggle('hidden', !isList);
+        this.root.querySelectorAll('.selection-panel .anomaly, .selection-panel .extras').forEach(el => {
+            el.classList.add('hidden');
+        });
+        listEl.innerHTML = '';
+        dateEl.textContent = t(this.locale, 'date.none');
+    }
 
-        const total = this.data.days.length;
-        const newCount = this.visibleCount * (1 - amount);
+    setStationOverlays(primary, overlays) {
+        // primary/overlays: { id, label, color }. Keeps already loaded days.
+        const previous = new Map(this.stationOverlays.map(o => [o.id, o.byDate]));
+        this.primaryStation = primary;
+        this.stationOverlays = overlays.map(o => ({ ...o, byDate: previous.get(o.id) || new Map() }));
 
-        const centerRatio = 0.5; // Zoom to center
-        const currentCenter = this.startIndex + (this.visibleCount * centerRatio);
+        if (this.mode === 'timeline') {
+            this.setPanelMode(this.stationOverlays.length > 0);
+            if (this.selectedIndex !== null && this.selectedIndex !== undefined) {
+                this.updateInfoPanel(this.data.days[this.selectedIndex]);
+            }
+        }
+        this.draw();
+    }
 
-        this.visibleCount = Math.max(this.minVisible, Math.min(total, newCount));
+    addStationData(stationId, data) {
+        const overlay = this.stationOverlays.find(o => o.id === stationId);
+        if (!overlay) return;
+        data.days.forEach(d => {
+            if (!isMissingDay(d)) overlay.byDate.set(d[0], [d[1], d[2]]);
+        });
 
-        // Adjust start to keep center
-        this.startIndex = currentCenter - (this.visibleCount * centerRatio);
-        this.clampWindow();
+        if (this.mode === 'timeline' && this.selectedIndex !== null && this.selectedIndex !== undefined) {
+            this.updateInfoPanel(this.data.days[this.selectedIndex]);
+        } else if (this.showingRange) {
+            this.updateRangePanel();
+        }
         this.draw();
     }
 
-    resetZoom() {
-        if (!this.data) return;
-        this.startIndex = 0;
-        this.visibleCount = this.data.days.length;
+    getStationSeries() {
+        // Primary station plus overlays, aligned to the timeline's days; null when not comparing stations
+        if (this.stationOverlays.length === 0 || !this.data) return null;
+        const days = this.data.days;
+        return [
+            { ...this.primaryStation, values: days.map(d => (isMissingDay(d) ? null : [d[1], d[2]])) },
+            ...this.stationOverlays.map(o => ({
+                id: o.id,
+                label: o.label,
+                color: o.color,
+                values: days.map(d => o.byDate.get(d[0]) || null)
+            }))
+        ];
+    }
+
+    setSecondaryVariable(name) {
+        this.secondaryVariable = VARIABLES[name] ? name : null;
         this.draw();
     }
 
-    clampWindow() {
-        if (!this.data) return;
-        const total = this.data.days.length;
+    hasSecondaryPanel() {
+        // Only for a single station's timeline, like the normals band
+        return this.secondaryVariable !== null && this.mode === 'timeline' &&
+            this.stationOverlays.length === 0 && !this.isHeatmap();
+    }
 
-        if (this.visibleCount > total) this.visibleCount = total;
-        if (this.startIndex < 0) this.startIndex = 0;
-        if (this.startIndex + this.visibleCount > total) {
-            this.startIndex = total - this.visibleCount;
-        }
+    setRenderMode(mode) {
+        this.renderMode = RENDER_MODES.includes(mode) ? mode : 'candle';
+        this.draw();
     }
 
-    // --- Drawing ---
+    setColorRule(rule) {
+        this.colorRule = COLOR_RULES.includes(rule) ? rule : 'previous';
+        this.draw();
+    }
+
+    getCandleColor(index) {
+        // Colour of one day's candle under the current rule
+        const days = this.data.days;
+        const day = days[index];
+        const mid = (day[1] + day[2]) / 2;
+
+        if (this.colorRule === 'absolute') {
+            return getHeatmapColor((mid - ABSOLUTE_SCALE.min) / (ABSOLUTE_SCALE.max - ABSOLUTE_SCALE.min));
+        }
+
+        let reference = null;
+        if (this.colorRule === 'normal') {
+            const normal = this.getNormalForDate(day[0]);
+            if (normal) reference = (normal.min_mean + normal.max_mean) / 2;
+        } else {
+            // The real previous day: it may be off screen, in the previous year of the timeline
+            // or, for the first loaded day, Dec 31 of a year that is not loaded (dayBefore)
+            const prev = index > 0 ? days[index - 1] : this.dayBefore;
+            if (!isMissingDay(prev)) reference = (prev[1] + prev[2]) / 2;
+        }
+
+        const palette = this.getPalette();
+        if (reference === null) return palette.neutral;
+        return mid < reference ? palette.cold : palette.warm;
+    }
+
+    setIndicators(keys) {
+        this.indicators = new Set(keys.filter(key => INDICATORS[key]));
+        this.draw();
+    }
+
+    hasIndicators() {
+        // Single-station timeline only, like the normals band
+        return this.indicators.size > 0 && this.mode === 'timeline' &&
+            this.stationOverlays.length === 0 && !this.isHeatmap();
+    }
+
+    getIndicatorData() {
+        // Computed over the whole loaded timeline, so values at the window's edges use the days beyond it.
+        // Every redraw (hover included) asks for it; it is only recomputed when the days or indicators change
+        const cached = this.indicatorCache;
+        if (cached && cached.days === this.data.days && cached.indicators === this.indicators) return cached.result;
+
+        const means = this.data.days.map(d => (isMissingDay(d) ? null : getDayMean(d)));
+        const result = {};
+        this.indicators.forEach(key => {
+            const indicator = INDICATORS[key];
+            if (key === 'trend') {
+                result.trend = linearTrend(means);
+            } else if (key === 'bollinger') {
+                result.bollinger = rollingStats(means, indicator.days)
+                    .map(s => (s ? [s.mean - indicator.width * s.sd, s.mean + indicator.width * s.sd] : null));
+            } else {
+                result[key] = rollingStats(means, indicator.days).map(s => (s ? s.mean : null));
+            }
+        });
+        this.indicatorCache = { days: this.data.days, indicators: this.indicators, result };
+        return result;
+    }
+
+    getIndicatorLegend(data = null) {
+        if (!this.hasIndicators()) return [];
+        const trend = (data || this.getIndicatorData()).trend;
+
+        const colors = this.getPalette().indicators;
+        return Object.keys(INDICATORS).filter(key => this.indicators.has(key)).map(key => {
+            const color = colors[key];
+            const label = t(this.locale, INDICATORS[key].message);
+            if (key !== 'trend') return { label, color };
+            if (!trend) return { label: t(this.locale, 'indicator.noData', { label }), color };
+            // Slope per decade, using the mean year length
+            const perDecade = trend.slope * 3652.5;
+            return { label: t(this.locale, 'indicator.trendSlope', { label, slope: formatTempChange(this.locale, perDecade, true) }), color };
+        });
+    }
+
+    drawIndicators(data, layer, start, end, barWidth, getY, padding) {
+        // layer 'under': bands behind the days; 'over': lines on top of them
+        const colors = this.getPalette().indicators;
+        if (layer === 'under') {
+            if (data.bollinger) {
+                this.drawBand(data.bollinger, start, end, barWidth, getY, colors.bollinger, padding, 0.08);
+            }
+            return;
+        }
+
+        ['ma7', 'ma30', 'ma90'].forEach(key => {
+            if (data[key]) this.drawLine(data[key], start, end, barWidth, getY, colors[key], padding);
+        });
+
+        if (data.trend) {
+            const { slope, intercept } = data.trend;
+            const trendLine = [];
+            for (let i = start; i < end; i++) trendLine[i] = intercept + (slope * i);
+            this.drawLine(trendLine, start, end, barWidth, getY, colors.trend, padding, [8, 4]);
+        }
+    }
+
+    isHeatmap() {
+        return this.renderMode.startsWith('heatmap');
+    }
+
+    getHeatmapMetric() {
+        // Anomalies need the normals of the one station on screen; otherwise colour by mean
+        const oneStation = this.mode === 'compare' || this.stationOverlays.length === 0;
+        return this.renderMode === 'heatmap-anomaly' && this.normals && oneStation ? 'anomaly' : 'mean';
+    }
+
+    setDayBefore(day) {
+        // [date, min, max, ...] of the day before the timeline's first day, for the previous-day colours
+        this.dayBefore = day;
+        this.draw();
+    }
+
+    setNormals(normals) {
+        // normals: normals.json payload ({ columns, days: [['MM-DD', ...values]] }) or null
+        if (!normals) {
+            this.normals = null;
+        } else {
+            this.normals = new Array(CALENDAR_DAYS).fill(null);
+            normals.days.forEach(row => {
+                const entry = {};
+                normals.columns.forEach((column, i) => {
+                    if (i > 0) entry[column] = row[i];
+                });
+                this.normals[getCalendarIndex(`0000-${row[0]}`)] = entry;
+            });
+        }
+        this.draw();
+    }
+
+    hasYear(year) {
+        return this.segments.some(s => s.year === year);
+    }
+
+    getLoadedYears() {
+        return this.segments.map(s => s.year);
+    }
+
+    getYearAt(index) {
+        const segment = this.segments.find(s => index >= s.start && index < s.start + s.length);
+        return segment ? segment.year : null;
+    }
+
+    getCenterYear() {
+        if (this.segments.length === 0 || this.mode !== 'timeline') return null;
+        const center = Math.floor(this.startIndex + this.visibleCount / 2);
+        const total = this.data.days.length;
+        return this.getYearAt(Math.max(0, Math.min(total - 1, center)));
+    }
+
+    showYear(year) {
+        const segment = this.segments.find(s => s.year === year);
+        if (!segment) return;
+        this.showRange(segment.start, segment.length);
+    }
+
+    showRange(start, count) {
+        if (!this.data) return;
+        this.startIndex = start;
+        this.visibleCount = Math.max(this.minVisible, count);
+        this.clampWindow();
+        this.draw();
+        this.handleWindowChange();
+    }
+
+    getSlotKey(index) {
+        // 'YYYY-MM-DD' of a timeline slot, or 'MM-DD' of a calendar slot in compare mode
+        if (this.mode === 'compare') return CALENDAR_KEYS[index];
+        return this.data.days[index][0];
+    }
+
+    findSlot(key) {
+        if (this.mode === 'compare') return CALENDAR_KEYS.indexOf(key);
+        return this.data ? this.data.days.findIndex(d => d[0] === key) : -1;
+    }
+
+    getViewState() {
+        // Visible window and selection as slot keys, for deep links
+        if (!this.data) return null;
+        const total = this.getSlotCount();
+        const start = Math.max(0, Math.min(total - 1, Math.round(this.startIndex)));
+        const end = Math.max(start, Math.min(total - 1, Math.round(this.startIndex + this.visibleCount) - 1));
+        const hasSelection = this.selectedIndex !== null && this.selectedIndex !== undefined;
+
+        // A whole year (or the whole calendar when comparing) needs no explicit range
+        const isFull = this.mode === 'compare'
+            ? start === 0 && end === CALENDAR_DAYS - 1
+            : this.segments.some(s => s.start === start && s.start + s.length - 1 === end);
+
+        return {
+            from: this.getSlotKey(start),
+            to: this.getSlotKey(end),
+            day: hasSelection ? this.getSlotKey(this.selectedIndex) : null,
+            isFull
+        };
+    }
+
+    showDates(from, to) {
+        // Shows the slots from..to (inclusive). Returns false if either key is not on the axis.
+        const start = this.findSlot(from);
+        const end = this.findSlot(to);
+        if (start < 0 || end < start) return false;
+        this.showRange(start, end - start + 1);
+        return true;
+    }
+
+    selectDate(key) {
+        const index = this.findSlot(key);
+        if (index >= 0) this.selectDay(index);
+    }
+
+    clearSelection() {
+        this.selectedIndex = null;
+        this.draw();
+    }
+
+    handleWindowChange() {
+        if (!this.data) return;
+
+        // Ask for more data when the window nears either end of the loaded timeline
+        if (this.onEdgeReached && this.mode === 'timeline') {
+            const threshold = Math.max(EDGE_PRELOAD_DAYS, this.visibleCount * 0.25);
+            const total = this.data.days.length;
+            if (this.startIndex < threshold) this.onEdgeReached(-1);
+            if (this.startIndex + this.visibleCount > total - threshold) this.onEdgeReached(1);
+        }
+        if (this.showingRange) this.updateRangePanel(); // Keep the heading on what is on screen
+        if (this.onWindowChange) this.onWindowChange();
+    }
+
+    // --- Interaction Methods ---
+
+    startDrag(x) {
+        this.isDragging = true;
+        this.lastX = x;
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    drag(x) {
+        if (!this.isDragging || !this.scaleInfo) return;
+        if (this.hover) this.clearHover();
+
+        const dx = x - this.lastX;
+        this.lastX = x;
+
+        // Pan Calculation
+        // dx pixels corresponds to how many bars?
+        const barsMoved = dx / this.scaleInfo.barWidth;
+
+        this.startIndex -= barsMoved;
+        this.clampWindow();
+        this.draw();
+        this.handleWindowChange();
+    }
+
+    endDrag() {
+        this.isDragging = false;
+        this.canvas.style.cursor = 'grab';
+    }
+
+    zoom(amount) {
+        console.log(`Zooming by ${amount}. Current Visible: ${this.visibleCount}`);
+        // Amount: +ve zoom out (show more), -ve zoom in (show less)
+        // Wait, typical UI: + to Zoom In (show less), - to Zoom Out (show more)
+        // Let's standardize: pass POSITIVE to zoom IN (reduce count), NEGATIVE to zoom OUT
+
+        if (!this.data) return;
+
+        const total = this.getSlotCount();
+        const newCount = this.visibleCount * (1 - amount);
+
+        const centerRatio = 0.5; // Zoom to center
+        const currentCenter = this.startIndex + (this.visibleCount * centerRatio);
+
+        this.visibleCount = Math.max(this.minVisible, Math.min(total, newCount));
+
+        // Adjust start to keep center
+        this.startIndex = currentCenter - (this.visibleCount * centerRatio);
+        this.clampWindow();
+        this.draw();
+        this.handleWindowChange();
+    }
+
+    resetZoom() {
+        // Fit the year currently in the middle of the view (or the whole calendar when comparing)
+        if (!this.data) return;
+        if (this.mode === 'compare') {
+            this.showRange(0, CALENDAR_DAYS);
+            return;
+        }
+        this.showYear(this.getCenterYear());
+    }
+
+    clampWindow() {
+        if (!this.data) return;
+        const total = this.getSlotCount();
+
+        if (this.visibleCount > total) this.visibleCount = total;
+        if (this.startIndex < 0) this.startIndex = 0;
+        if (this.startIndex + this.visibleCount > total) {
+            this.startIndex = total - this.visibleCount;
+        }
+    }
+
+    // --- Drawing ---
+
+    getSlotCount() {
+        // Number of x-axis positions: timeline days, or calendar days in compare mode
+        if (this.mode === 'compare') return CALENDAR_DAYS;
+        return this.data ? this.data.days.length : 0;
+    }
+
+    getVisibleRange() {
+        // Whole slots drawn for the current window: [start, end)
+        const start = Math.floor(this.startIndex);
+        const count = Math.ceil(this.visibleCount);
+        return { start, end: Math.min(this.getSlotCount(), start + count) };
+    }
+
+    getLayout() {
+        // Logical (CSS pixel) size; pixelRatio > 1 only while rendering an export image
+        const width = this.canvas.width / this.pixelRatio;
+        const height = this.canvas.height / this.pixelRatio;
+        const padding = { top: 40, right: 50, bottom: 40, left: 50 };
+        let chartHeight = height - padding.top - padding.bottom;
+
+        // The secondary panel takes the bottom quarter of the plot area
+        let panel = null;
+        if (this.hasSecondaryPanel()) {
+            const panelHeight = Math.max(60, chartHeight * 0.25);
+            chartHeight -= panelHeight + 20;
+            panel = { top: padding.top + chartHeight + 20, height: panelHeight };
+        }
+
+        return {
+            width,
+            height,
+            padding,
+            panel,
+            chartWidth: width - padding.left - padding.right,
+            chartHeight
+        };
+    }
+
+    getScale(layout, minTemp, maxTemp) {
+        const rangePadding = (maxTemp - minTemp) * 0.1;
+        minTemp = Math.floor(minTemp - rangePadding);
+        maxTemp = Math.ceil(maxTemp + rangePadding);
+        const rangeY = maxTemp - minTemp;
+
+        const getY = (temp) => {
+            return layout.padding.top + layout.chartHeight - ((temp - minTemp) / rangeY * layout.chartHeight);
+        };
+        return { minTemp, maxTemp, rangeY, getY };
+    }
+
+    drawAxes(layout, scale, labels) {
+        // labels: one 'MM.DD' string per visible slot
+        const ctx = this.ctx;
+        const { width, padding } = layout;
+        const { minTemp, rangeY, getY } = scale;
+        const palette = this.getPalette();
+
+        // Grid & Y-Axis
+        ctx.fillStyle = palette.axisText;
+        ctx.strokeStyle = palette.grid;
+        ctx.lineWidth = 1;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        for (let i = 0; i <= 5; i++) {
+            const temp = minTemp + (rangeY * (i / 5));
+            const y = getY(temp);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(formatTemp(this.locale, temp, 0), width - padding.right + 5, y);
+        }
+
+        return this.drawDateLabels(layout, labels);
+    }
+
+    drawDateLabels(layout, labels) {
+        // X-Axis (Dates); returns the width of one slot
+        const ctx = this.ctx;
+        const { height, padding, chartWidth } = layout;
+
+        // Dynamically adjust label frequency based on zoom
+        ctx.fillStyle = this.getPalette().axisText;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const barWidth = chartWidth / labels.length;
+
+        const labelStep = Math.ceil(labels.length / 6); // Aim for ~6 labels
+
+        labels.forEach((label, i) => {
+            if (i % labelStep === 0) {
+                const x = padding.left + (i * barWidth) + (barWidth / 2);
+                ctx.fillText(label, x, height - padding.bottom + 10);
+            }
+        });
+
+        return barWidth;
+    }
+
+    drawSelectionLine(layout, x) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.strokeStyle = this.getPalette().chartText;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        ctx.moveTo(x, layout.padding.top);
+        ctx.lineTo(x, layout.height - layout.padding.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    drawCrosshair(layout, scale, start, end, barWidth) {
+        // Vertical line snapped to the hovered day, horizontal line and temperature at the pointer
+        if (!this.hover || this.hover.index < start || this.hover.index >= end) return;
+        const ctx = this.ctx;
+        const { padding } = layout;
+        const x = padding.left + ((this.hover.index - start) * barWidth) + (barWidth / 2);
+        const y = this.hover.y;
+        // Temperature readout only over the temperature axis (not the secondary panel or a heatmap)
+        const inChart = scale !== null && y >= padding.top && y <= padding.top + layout.chartHeight;
+        const palette = this.getPalette();
+
+        ctx.save();
+        ctx.strokeStyle = palette.crosshair;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, padding.top);
+        ctx.lineTo(x, layout.height - padding.bottom);
+        if (inChart) {
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(layout.width - padding.right, y);
+        }
+        ctx.stroke();
+
+        if (inChart) {
+            const temp = scale.minTemp + ((padding.top + layout.chartHeight - y) / layout.chartHeight) * scale.rangeY;
+            const text = `${toDisplayTemp(this.locale, temp).toFixed(1)}°`;
+            ctx.font = '12px sans-serif';
+            const textWidth = ctx.measureText(text).width;
+            ctx.fillStyle = palette.chartText;
+            ctx.fillRect(padding.left - textWidth - 10, y - 9, textWidth + 8, 18);
+            ctx.fillStyle = palette.background;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, padding.left - 6, y);
+        }
+        ctx.restore();
+    }
+
+    drawMarker(x, y) {
+        const ctx = this.ctx;
+        const palette = this.getPalette();
+        ctx.fillStyle = palette.background;
+        ctx.strokeStyle = palette.chartText;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
 
     draw() {
         if (!this.data || !this.data.days) return;
+        this.scheduleDescription();
+        if (this.mode === 'compare') {
+            this.drawCompare();
+            return;
+        }
+
+        const ctx = this.ctx;
+        const days = this.data.days;
+
+        // Determine View Window
+        const { start, end } = this.getVisibleRange();
+
+        const viewData = days.slice(start, end);
+        if (viewData.length === 0) return;
+
+        // Configuration
+        const layout = this.getLayout();
+        const { width, height, padding } = layout;
+
+        // Clear
+        ctx.clearRect(0, 0, width, height);
+
+        // Heatmap: colours instead of a temperature axis
+        if (this.isHeatmap()) {
+            const series = this.getStationSeries();
+            if (series) this.drawHeatmapRows(layout, series, start, end);
+            else this.drawHeatmapCalendar(layout, start, end);
+            return;
+        }
+
+        // 1. Calculate Scale (Global Y for stability, or Local Y for detail?)
+        // Let's use Global Y for the current year so bars don't jump up and down wildly while panning
+        // BUT, user asked to "Zoom", typically implies seeing details.
+        // Let's update Scale primarily based on VIEW data for max detail?
+        // No, keep year-context is usually better for weather. 
+        // Let's stick to Year Min/Max for Y-axis stability.
+
+        let minTemp = 100;
+        let maxTemp = -100;
+
+        // Calculate min/max from the WHOLE loaded timeline to keep Y axis stable
+        days.forEach(d => {
+            if (isMissingDay(d)) return;
+            if (d[1] < minTemp) minTemp = d[1];
+            if (d[2] > maxTemp) maxTemp = d[2];
+        });
+
+        // Normals are only drawn for a single station
+        const stationSeries = this.getStationSeries();
+        const showNormals = this.normals && !stationSeries;
+        if (showNormals) {
+            viewData.forEach(d => {
+                const normal = this.getNormalForDate(d[0]);
+                if (!normal) return;
+                if (normal.min_p10 < minTemp) minTemp = normal.min_p10;
+                if (normal.max_p90 > maxTemp) maxTemp = normal.max_p90;
+            });
+        }
+
+        // Compared stations share the same Y axis
+        if (stationSeries) {
+            stationSeries.forEach(s => s.values.forEach(v => {
+                if (!v) return;
+                if (v[0] < minTemp) minTemp = v[0];
+                if (v[1] > maxTemp) maxTemp = v[1];
+            }));
+        }
+
+        const scale = this.getScale(layout, minTemp, maxTemp);
+        const getY = scale.getY;
+
+        // 2. Grid, Y-Axis and X-Axis (Dates)
+        const labels = viewData.map(day => {
+            const dateParts = day[0].split('-'); // YYYY-MM-DD
+            return `${dateParts[1]}.${dateParts[2]}`; // MM.DD
+        });
+        const barWidth = this.drawAxes(layout, scale, labels);
+
+        // Year boundaries (the timeline can span several years)
+        ctx.textAlign = 'left';
+        this.segments.forEach(segment => {
+            if (segment.start <= start || segment.start >= end) return;
+            const x = padding.left + ((segment.start - start) * barWidth);
+            ctx.beginPath();
+            ctx.strokeStyle = this.getPalette().divider;
+            ctx.setLineDash([3, 3]);
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillText(String(segment.year), x + 4, padding.top + 4);
+        });
+
+        // 3. Draw Candles
+        // If many bars, thinner. If zoomed in, thicker.
+        const gap = Math.max(1, barWidth * 0.2);
+        const candleWidth = Math.max(1, barWidth - gap);
+
+        if (showNormals) {
+            this.drawNormals(start, end, barWidth, getY, padding, i => this.getNormalForDate(days[i][0]));
+        }
+
+        if (stationSeries) {
+            // Several stations: one colour per station instead of the day-over-day trend colours
+            this.drawSeries(stationSeries, start, end, barWidth, getY, padding);
+            this.drawLegend(layout, stationSeries);
+        } else {
+            // Missing day: keep the slot and mark it as a gap
+            viewData.forEach((day, i) => {
+                if (!isMissingDay(day)) return;
+                ctx.fillStyle = this.getPalette().missing;
+                ctx.fillRect(padding.left + (i * barWidth), padding.top, barWidth, layout.chartHeight);
+            });
+
+            const indicatorData = this.hasIndicators() ? this.getIndicatorData() : null;
+            if (indicatorData) this.drawIndicators(indicatorData, 'under', start, end, barWidth, getY, padding);
+
+            if (this.renderMode === 'candle') {
+                viewData.forEach((day, i) => {
+                    const [dateStr, tMin, tMax] = day;
+                    const cx = padding.left + (i * barWidth) + (barWidth / 2);
+                    if (isMissingDay(day)) return;
+
+                    this.drawCandle(cx, getY(tMin), getY(tMax), candleWidth, this.getCandleColor(start + i));
+                });
+            } else {
+                this.drawDayLines(start, end, barWidth, getY, padding);
+            }
+
+            if (indicatorData) this.drawIndicators(indicatorData, 'over', start, end, barWidth, getY, padding);
+
+            // The default candle colours are explained below the chart; everything else gets a legend
+            const explained = this.renderMode === 'candle' && this.colorRule === 'previous';
+            const legend = (explained ? [] : this.getLegend(false)).concat(this.getIndicatorLegend(indicatorData));
+            if (legend.length > 0) this.drawLegend(layout, legend);
+            if (this.renderMode === 'candle' && this.colorRule === 'absolute') {
+                this.drawHeatmapLegend(layout, {
+                    ...ABSOLUTE_SCALE,
+                    label: t(this.locale, 'scale.temperature'),
+                    format: (v) => formatTemp(this.locale, v, 0)
+                });
+            }
+        }
+
+        if (layout.panel) {
+            this.drawSecondaryPanel(layout, viewData, barWidth);
+        }
+
+        // Store scale info for interaction
+        this.scaleInfo = { padding, barWidth, viewData, start, layout };
+
+        // Draw Selection Highlight
+        if (this.selectedIndex !== undefined && this.selectedIndex !== null) {
+            // Check if selected index is visible
+            if (this.selectedIndex >= start && this.selectedIndex < end) {
+                const visibleIndex = this.selectedIndex - start;
+                const hx = padding.left + (visibleIndex * barWidth) + (barWidth / 2);
+
+                // Draw vertical line
+                this.drawSelectionLine(layout, hx);
+
+                // Draw circle highlights on min/max
+                if (!stationSeries && !isMissingDay(days[this.selectedIndex])) {
+                    const day = days[this.selectedIndex];
+                    this.drawMarker(hx, getY(day[1]));
+                    this.drawMarker(hx, getY(day[2]));
+                }
+            }
+        }
+
+        this.drawCrosshair(layout, scale, start, end, barWidth);
+    }
+
+    drawSecondaryPanel(layout, viewData, barWidth) {
+        // Extra variable (precipitation, wind, ...) on its own scale below the candles
+        const ctx = this.ctx;
+        const { padding, panel, width } = layout;
+        const variable = VARIABLES[this.secondaryVariable];
+        const column = DAY_COLUMNS.indexOf(this.secondaryVariable);
+        const bottom = panel.top + panel.height;
+
+        // Scale over the whole loaded timeline so the panel doesn't rescale while panning
+        let maxValue = variable.max || 0;
+        if (!variable.max) {
+            this.data.days.forEach(d => {
+                if (d[column] !== null && d[column] > maxValue) maxValue = d[column];
+            });
+        }
+
+        const palette = this.getPalette();
+        const color = palette.variables[this.secondaryVariable];
+        ctx.strokeStyle = palette.grid;
+        ctx.lineWidth = 1;
+        [panel.top, bottom].forEach(y => {
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+        });
+
+        ctx.fillStyle = palette.axisText;
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.fillText(t(this.locale, 'table.column', { label: t(this.locale, variable.message), unit: variable.unit }), padding.left + 4, panel.top - 8);
+        ctx.fillText(`${Math.round(maxValue)}`, width - padding.right + 5, panel.top);
+        ctx.fillText('0', width - padding.right + 5, bottom);
+
+        const hasValues = viewData.some(d => d[column] !== null);
+        if (!hasValues || maxValue <= 0) {
+            ctx.textAlign = 'center';
+            ctx.fillText(t(this.locale, 'noData'), padding.left + layout.chartWidth / 2, panel.top + panel.height / 2);
+            return;
+        }
+
+        const getPanelY = (value) => bottom - (value / maxValue) * panel.height;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+
+        if (variable.style === 'bar') {
+            const barGap = Math.max(1, barWidth * 0.2);
+            const bodyWidth = Math.max(1, barWidth - barGap);
+            viewData.forEach((d, i) => {
+                if (d[column] === null) return;
+                const x = padding.left + (i * barWidth) + (barGap / 2);
+                const y = getPanelY(d[column]);
+                ctx.fillRect(x, y, bodyWidth, bottom - y);
+            });
+        } else {
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            let penDown = false;
+            viewData.forEach((d, i) => {
+                if (d[column] === null) {
+                    penDown = false;
+                    return;
+                }
+                const x = padding.left + (i * barWidth) + (barWidth / 2);
+                if (penDown) ctx.lineTo(x, getPanelY(d[column]));
+                else ctx.moveTo(x, getPanelY(d[column]));
+                penDown = true;
+            });
+            ctx.stroke();
+        }
+    }
+
+    drawCandle(cx, yMin, yMax, candleWidth, color) {
+        const ctx = this.ctx;
+
+        // Wick
+        ctx.strokeStyle = color;
+        ctx.lineWidth = Math.min(2, candleWidth / 3);
+        ctx.beginPath();
+        ctx.moveTo(cx, yMin);
+        ctx.lineTo(cx, yMax);
+        ctx.stroke();
+
+        // Body (Range) - Actually our style IS a wick-only candle (Line). 
+        // Let's make it a bit thicker if zoomed in
+        if (candleWidth > 4) {
+            ctx.lineWidth = candleWidth;
+            ctx.beginPath();
+            ctx.moveTo(cx, yMin);
+            ctx.lineTo(cx, yMax);
+            ctx.stroke();
+        }
+    }
+
+    drawCompare() {
+        // Year-over-year overlay: every series shares one calendar (day-of-year) axis
+        const ctx = this.ctx;
+        const series = this.compare.series;
+
+        const { start, end } = this.getVisibleRange();
+        if (end <= start || series.length === 0) return;
+
+        const layout = this.getLayout();
+        const { width, height, padding } = layout;
+        ctx.clearRect(0, 0, width, height);
+
+        if (this.isHeatmap()) {
+            this.drawHeatmapRows(layout, series, start, end);
+            return;
+        }
+
+        let minTemp = 100;
+        let maxTemp = -100;
+        series.forEach(s => s.days.forEach(d => {
+            if (isMissingDay(d)) return;
+            if (d[1] < minTemp) minTemp = d[1];
+            if (d[2] > maxTemp) maxTemp = d[2];
+        }));
+
+        const scale = this.getScale(layout, minTemp, maxTemp);
+        const getY = scale.getY;
+
+        const labels = [];
+        for (let i = start; i < end; i++) {
+            labels.push(CALENDAR_KEYS[i].replace('-', '.'));
+        }
+        const barWidth = this.drawAxes(layout, scale, labels);
+
+        if (this.normals) {
+            this.drawNormals(start, end, barWidth, getY, padding, i => this.normals[i]);
+        }
+        this.drawSeries(series, start, end, barWidth, getY, padding);
+        this.drawLegend(layout, series);
+
+        this.scaleInfo = { padding, barWidth, start, layout };
+
+        if (this.selectedIndex !== undefined && this.selectedIndex !== null &&
+            this.selectedIndex >= start && this.selectedIndex < end) {
+            const visibleIndex = this.selectedIndex - start;
+            const hx = padding.left + (visibleIndex * barWidth) + (barWidth / 2);
+            this.drawSelectionLine(layout, hx);
+        }
+
+        this.drawCrosshair(layout, scale, start, end, barWidth);
+    }
+
+    drawSeries(series, start, end, barWidth, getY, padding) {
+        // series: [{ color, values }] with values[slot] = [min, max] or null
+        // Each series gets its own offset slot within a day; too narrow for that, draw bands
+        const subWidth = barWidth / series.length;
+
+        if (this.renderMode === 'line') {
+            // Max solid, min dashed, in the series colour
+            series.forEach(s => {
+                const pick = (edge) => s.values.map(v => (v ? v[edge] : null));
+                this.drawLine(pick(1), start, end, barWidth, getY, s.color, padding);
+                this.drawLine(pick(0), start, end, barWidth, getY, s.color, padding, [4, 3]);
+            });
+            return;
+        }
+
+        series.forEach((s, k) => {
+            if (this.renderMode === 'band') {
+                this.drawBand(s.values, start, end, barWidth, getY, s.color, padding);
+                return;
+            }
+            if (subWidth >= 3) {
+                const candleWidth = Math.max(1, subWidth * 0.8);
+                for (let i = start; i < end; i++) {
+                    const value = s.values[i];
+                    if (!value) continue;
+                    const cx = padding.left + ((i - start) * barWidth) + (subWidth * (k + 0.5));
+                    this.drawCandle(cx, getY(value[0]), getY(value[1]), candleWidth, s.color);
+                }
+            } else {
+                this.drawBand(s.values, start, end, barWidth, getY, s.color, padding);
+            }
+        });
+    }
+
+    drawBand(values, start, end, barWidth, getY, color, padding, alpha = 0.2, outline = true) {
+        // Filled min-max band with solid edges; breaks on missing days (e.g. Feb 29)
+        const ctx = this.ctx;
+        const x = (i) => padding.left + ((i - start) * barWidth) + (barWidth / 2);
+
+        let runStart = null;
+        const flush = (runEnd) => {
+            if (runStart === null) return;
+            ctx.beginPath();
+            for (let i = runStart; i < runEnd; i++) ctx.lineTo(x(i), getY(values[i][1]));
+            for (let i = runEnd - 1; i >= runStart; i--) ctx.lineTo(x(i), getY(values[i][0]));
+            ctx.closePath();
+            ctx.globalAlpha = alpha;
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+
+            if (!outline) {
+                runStart = null;
+                return;
+            }
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            [1, 0].forEach(edge => {
+                ctx.beginPath();
+                for (let i = runStart; i < runEnd; i++) ctx.lineTo(x(i), getY(values[i][edge]));
+                ctx.stroke();
+            });
+            runStart = null;
+        };
+
+        for (let i = start; i < end; i++) {
+            if (values[i]) {
+                if (runStart === null) runStart = i;
+            } else {
+                flush(i);
+            }
+        }
+        flush(end);
+    }
+
+    drawLine(values, start, end, barWidth, getY, color, padding, dash = []) {
+        // Smoothed line through values[slot] (numbers); breaks on missing days
+        const ctx = this.ctx;
+        const x = (i) => padding.left + ((i - start) * barWidth) + (barWidth / 2);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+
+        let run = [];
+        const flush = () => {
+            if (run.length === 1) {
+                ctx.fillRect(run[0][0] - 1.5, run[0][1] - 1.5, 3, 3); // A lone day between gaps
+            } else if (run.length > 1) {
+                // Curve through the midpoints between days, with each day as the control point
+                ctx.beginPath();
+                ctx.moveTo(run[0][0], run[0][1]);
+                for (let k = 1; k < run.length - 1; k++) {
+                    const mx = (run[k][0] + run[k + 1][0]) / 2;
+                    const my = (run[k][1] + run[k + 1][1]) / 2;
+                    ctx.quadraticCurveTo(run[k][0], run[k][1], mx, my);
+                }
+                const last = run[run.length - 1];
+                ctx.lineTo(last[0], last[1]);
+                ctx.stroke();
+            }
+            run = [];
+        };
+
+        for (let i = start; i < end; i++) {
+            const value = values[i];
+            if (value === null || value === undefined) flush();
+            else run.push([x(i), getY(value)]);
+        }
+        flush();
+        ctx.setLineDash([]);
+    }
+
+    drawDayLines(start, end, barWidth, getY, padding) {
+        // Single station in band or line mode
+        const days = this.data.days;
+        const column = (pick) => {
+            const values = [];
+            for (let i = start; i < end; i++) values[i] = isMissingDay(days[i]) ? null : pick(days[i]);
+            return values;
+        };
+
+        const palette = this.getPalette();
+        if (this.renderMode === 'band') {
+            this.drawBand(column(d => [d[1], d[2]]), start, end, barWidth, getY, palette.band, padding, 0.25);
+            this.drawLine(column(getDayMean), start, end, barWidth, getY, palette.chartText, padding);
+        } else {
+            this.drawLine(column(d => d[2]), start, end, barWidth, getY, palette.warm, padding);
+            this.drawLine(column(d => d[1]), start, end, barWidth, getY, palette.cold, padding);
+        }
+    }
+
+    getLegend(withIndicators = true) {
+        // Legend entries for a single station in the current render mode
+        const indicators = withIndicators ? this.getIndicatorLegend() : [];
+        const palette = this.getPalette();
+        if (this.renderMode === 'band') {
+            return [{ label: t(this.locale, 'legend.range'), color: palette.band }, { label: t(this.locale, 'temp.mean'), color: palette.chartText }].concat(indicators);
+        }
+        if (this.renderMode === 'line') {
+            return [{ label: t(this.locale, 'temp.max'), color: palette.warm }, { label: t(this.locale, 'temp.min'), color: palette.cold }].concat(indicators);
+        }
+        // Heatmaps and absolute candle colours have their colour scale drawn on the chart
+        if (this.isHeatmap()) return [];
+        if (this.colorRule === 'absolute') return indicators;
+        const than = this.colorRule === 'normal' ? 'Normal' : 'Previous';
+        return [
+            { label: t(this.locale, `legend.warmerThan${than}`), color: palette.warm },
+            { label: t(this.locale, `legend.colderThan${than}`), color: palette.cold }
+        ].concat(indicators);
+    }
+
+    // --- Heatmap ---
+
+    getNormalAt(index) {
+        // Normals for a slot: calendar slots in compare mode, timeline days otherwise
+        if (!this.normals) return null;
+        if (this.mode === 'compare') return this.normals[index];
+        return this.getNormalForDate(this.data.days[index][0]);
+    }
+
+    getHeatmapScale(means) {
+        // means: daily means across everything loaded, so colours stay put while panning
+        if (this.getHeatmapMetric() === 'anomaly') {
+            return {
+                label: t(this.locale, 'scale.anomaly'),
+                min: -ANOMALY_RANGE,
+                max: ANOMALY_RANGE,
+                format: (v) => formatTempChange(this.locale, v, true, 0),
+                valueOf: (mid, index) => {
+                    // Midpoint against the normal midpoint, so both sides are computed alike
+                    const normal = this.getNormalAt(index);
+                    return normal ? mid - (normal.min_mean + normal.max_mean) / 2 : null;
+                }
+            };
+        }
+
+        const finite = means.filter(v => v !== null);
+        const min = finite.length > 0 ? Math.floor(Math.min(...finite)) : 0;
+        const max = finite.length > 0 ? Math.ceil(Math.max(...finite)) : 1;
+        return {
+            label: t(this.locale, 'scale.mean'),
+            min,
+            max: max > min ? max : min + 1,
+            format: (v) => formatTemp(this.locale, v, 0),
+            valueOf: (mean) => mean
+        };
+    }
+
+    colorFor(scale, value) {
+        if (value === null) return this.getPalette().missing;
+        return getHeatmapColor((value - scale.min) / (scale.max - scale.min));
+    }
+
+    drawHeatmapLegend(layout, scale) {
+        // Colour ramp in the top margin, right-aligned
+        const ctx = this.ctx;
+        const rampWidth = 120;
+        const steps = 24;
+        const x = layout.width - layout.padding.right - rampWidth;
+        const y = layout.padding.top / 2 - 5;
+
+        for (let k = 0; k < steps; k++) {
+            ctx.fillStyle = getHeatmapColor(k / (steps - 1));
+            ctx.fillRect(x + (k * rampWidth / steps), y, Math.ceil(rampWidth / steps), 10);
+        }
+
+        ctx.font = '12px sans-serif';
+        ctx.fillStyle = this.getPalette().chartText;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${scale.label} ${scale.format(scale.min)}`, x - 6, y + 5);
+        ctx.textAlign = 'left';
+        ctx.fillText(scale.format(scale.max), x + rampWidth + 6, y + 5);
+    }
+
+    drawHeatmapCalendar(layout, start, end) {
+        // Single station: GitHub-style grid, one column per week (Sunday on top), one cell per day
+        const ctx = this.ctx;
+        const days = this.data.days;
+        const { padding, chartWidth, chartHeight } = layout;
+        const monthRow = 20; // Room for month labels above the grid
+
+        const offset = new Date(`${days[start][0]}T00:00:00Z`).getUTCDay();
+        const weeks = Math.ceil((end - start + offset) / 7);
+        const cell = Math.min(chartWidth / weeks, (chartHeight - monthRow) / 7);
+        const grid = { left: padding.left, top: padding.top + monthRow, cell, offset };
+        const gap = cell > 6 ? 1 : 0;
+
+        const scale = this.getHeatmapScale(days.map(d => (isMissingDay(d) ? null : getDayMean(d))));
+        const isAnomaly = this.getHeatmapMetric() === 'anomaly';
+        const palette = this.getPalette();
+        const cellAt = (i) => {
+            const k = i - start + offset;
+            return { x: grid.left + Math.floor(k / 7) * cell, y: grid.top + (k % 7) * cell };
+        };
+
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = palette.axisText;
+        t(this.locale, 'calendar.weekdays').split(' ').forEach((label, row) => {
+            if (row % 2 === 1) ctx.fillText(label, grid.left - 6, grid.top + (row * cell) + (cell / 2));
+        });
+
+        ctx.textAlign = 'left';
+        for (let i = start; i < end; i++) {
+            const day = days[i];
+            const { x, y } = cellAt(i);
+            const value = isMissingDay(day) ? null : scale.valueOf(isAnomaly ? (day[1] + day[2]) / 2 : getDayMean(day), i);
+            ctx.fillStyle = this.colorFor(scale, value);
+            ctx.fillRect(x + gap, y + gap, cell - (2 * gap), cell - (2 * gap));
+
+            // Month label above the week where a month starts
+            const [year, month, date] = day[0].split('-');
+            if (date === '01' || (i === start && Number(date) <= 21)) {
+                ctx.fillStyle = palette.axisText;
+                const label = month === '01'
+                    ? t(this.locale, 'date.year', { y: year })
+                    : t(this.locale, 'date.month', { m: Number(month), month: MONTH_NAMES[month - 1] });
+                ctx.fillText(label, x, padding.top + (monthRow / 2));
+            }
+        }
+
+        this.drawHeatmapLegend(layout, scale);
+
+        // Dragging one column moves the window by a week
+        this.scaleInfo = { padding, barWidth: cell / 7, start, layout, grid };
+
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = palette.chartText;
+        if (this.selectedIndex !== null && this.selectedIndex !== undefined &&
+            this.selectedIndex >= start && this.selectedIndex < end) {
+            const { x, y } = cellAt(this.selectedIndex);
+            ctx.strokeRect(x + 1, y + 1, cell - 2, cell - 2);
+        }
+        if (this.hover && this.hover.index >= start && this.hover.index < end) {
+            const { x, y } = cellAt(this.hover.index);
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, cell - 1, cell - 1);
+        }
+    }
+
+    drawHeatmapRows(layout, series, start, end) {
+        // Several stations or years: one strip per series on the usual date axis
+        const ctx = this.ctx;
+        const { padding, chartHeight } = layout;
+        const labels = [];
+        for (let i = start; i < end; i++) {
+            labels.push(this.mode === 'compare' ? CALENDAR_KEYS[i].replace('-', '.') : this.data.days[i][0].slice(5).replace('-', '.'));
+        }
+        const barWidth = this.drawDateLabels(layout, labels);
+        const rowHeight = Math.min(60, chartHeight / series.length);
+
+        const mid = (v) => (v ? (v[0] + v[1]) / 2 : null);
+        const scale = this.getHeatmapScale(series.flatMap(s => s.values.map(mid)));
+
+        series.forEach((s, k) => {
+            const y = padding.top + (k * rowHeight);
+            for (let i = start; i < end; i++) {
+                const value = s.values[i] ? scale.valueOf(mid(s.values[i]), i) : null;
+                ctx.fillStyle = this.colorFor(scale, value);
+                ctx.fillRect(padding.left + ((i - start) * barWidth), y, Math.ceil(barWidth), rowHeight - 2);
+            }
+            // Series colour in the left margin identifies the row
+            ctx.fillStyle = s.color;
+            ctx.fillRect(padding.left - 10, y, 6, rowHeight - 2);
+        });
+
+        this.drawLegend(layout, series);
+        this.drawHeatmapLegend(layout, scale);
+        this.scaleInfo = { padding, barWidth, start, layout };
+
+        if (this.selectedIndex !== null && this.selectedIndex !== undefined &&
+            this.selectedIndex >= start && this.selectedIndex < end) {
+            this.drawSelectionLine(layout, padding.left + ((this.selectedIndex - start) * barWidth) + (barWidth / 2));
+        }
+        this.drawCrosshair(layout, null, start, end, barWidth);
+    }
+
+    drawNormals(start, end, barWidth, getY, padding, getNormal) {
+        // Climatological normals behind the data: p10-p90 range, then the mean min-max range
+        const outer = [];
+        const inner = [];
+        for (let i = start; i < end; i++) {
+            const normal = getNormal(i);
+            outer[i] = normal ? [normal.min_p10, normal.max_p90] : null;
+            inner[i] = normal ? [normal.min_mean, normal.max_mean] : null;
+        }
+        const color = this.getPalette().normals;
+        this.drawBand(outer, start, end, barWidth, getY, color, padding, 0.12, false);
+        this.drawBand(inner, start, end, barWidth, getY, color, padding, 0.18, false);
+    }
+
+    getNormalForDate(dateStr) {
+        return this.normals ? this.normals[getCalendarIndex(dateStr)] : null;
+    }
+
+    drawLegend(layout, series) {
+        const ctx = this.ctx;
+        let x = layout.padding.left;
+        const y = layout.padding.top / 2;
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        series.forEach(s => {
+            ctx.fillStyle = s.color;
+            ctx.fillRect(x, y - 5, 10, 10);
+            ctx.fillStyle = this.getPalette().chartText;
+            ctx.fillText(s.label, x + 14, y);
+            x += 14 + ctx.measureText(s.label).width + 16;
+        });
+    }
+
+    // --- Export ---
+
+    getExportTable() {
+        // Exactly the days in the current window: { columns, rows }
+        const { start, end } = this.getVisibleRange();
+
+        if (this.mode === 'compare') {
+            const series = this.compare.series;
+            const rows = [];
+            for (let i = start; i < end; i++) {
+                rows.push([CALENDAR_KEYS[i], ...series.flatMap(s => s.values[i] || [null, null])]);
+            }
+            return { columns: ['date', ...series.flatMap(s => [`${s.label}_min`, `${s.label}_max`])], rows };
+        }
+
+        const days = this.data.days.slice(start, end);
+        const stationSeries = this.getStationSeries();
+        if (stationSeries) {
+            return {
+                columns: ['date', ...stationSeries.flatMap(s => [`${s.id}_min`, `${s.id}_max`])],
+                rows: days.map((d, k) => [d[0], ...stationSeries.flatMap(s => s.values[start + k] || [null, null])])
+            };
+        }
+
+        // Single station: date, min, max plus any extra variable present in the window
+        const used = DAY_COLUMNS.map((column, i) => i)
+            .filter(i => i < 3 || days.some(d => d[i] !== null));
+        return {
+            columns: used.map(i => DAY_COLUMNS[i]),
+            rows: days.map(d => used.map(i => d[i]))
+        };
+    }
+
+    renderToCanvas(canvas, pixelRatio) {
+        // Draws the current view onto another canvas (e.g. a high-resolution export), then restores
+        const saved = { canvas: this.canvas, ctx: this.ctx, pixelRatio: this.pixelRatio, scaleInfo: this.scaleInfo, hover: this.hover };
+
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.pixelRatio = pixelRatio;
+        this.hover = null;
+        this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        try {
+            this.draw();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    // --- Screen Reader ---
+
+    scheduleDescription() {
+        // Every redraw may change the window; rebuild the text version and the stats once things settle
+        clearTimeout(this.describeTimer);
+        this.describeTimer = setTimeout(() => {
+            this.updateDescription();
+            this.updateStatsPanel();
+        }, DESCRIBE_DELAY);
+    }
+
+    getSeriesColumns(columns) {
+        // Min/max column pairs of a table from getExportTable: [{ key, label, min, max }]
+        // key is the column prefix (station id or year); a single station has none
+        const labels = new Map((this.getStationSeries() || []).map(s => [s.id, s.label]));
+        const pairs = [];
+        columns.forEach((column, i) => {
+            if (column === 'min') pairs.push({ key: '', label: '', min: i, max: columns.indexOf('max') });
+            const match = column.match(/^(.+)_min$/);
+            if (match) {
+                const key = match[1];
+                pairs.push({ key, label: labels.get(key) || key, min: i, max: columns.indexOf(`${key}_max`) });
+            }
+        });
+        return pairs;
+    }
+
+    getColumnLabel(column, pairs) {
+        if (column === 'date') return t(this.locale, 'table.date');
+        if (column === 'mean') return t(this.locale, 'table.column', { label: t(this.locale, 'temp.mean'), unit: getTempSymbol(this.locale) });
+        if (VARIABLES[column]) return t(this.locale, 'table.column', { label: t(this.locale, VARIABLES[column].message), unit: VARIABLES[column].unit });
+
+        const [, key = '', part] = column.match(/^(?:(.+)_)?(min|max)$/) || [];
+        if (!part) return column;
+        const pair = pairs.find(p => p.key === key);
+        const prefix = pair && pair.label ? `${pair.label} ` : '';
+        return t(this.locale, 'table.column', { label: `${prefix}${t(this.locale, part === 'min' ? 'temp.min' : 'temp.max')}`, unit: getTempSymbol(this.locale) });
+    }
+
+    getWindowSummary(table, pairs) {
+        // e.g. "2025년 1월 1일 ~ 2025년 12월 31일, 365일. 최저 -12.3°C (2025년 1월 9일), 최고 ..."
+        // table: temperatures already in the display unit
+        if (table.rows.length === 0) return '';
+        const first = table.rows[0][0];
+        const last = table.rows[table.rows.length - 1][0];
+
+        const parts = pairs.map(pair => {
+            let low = null;
+            let high = null;
+            table.rows.forEach(row => {
+                if (row[pair.min] !== null && (low === null || row[pair.min] < low[pair.min])) low = row;
+                if (row[pair.max] !== null && (high === null || row[pair.max] > high[pair.max])) high = row;
+            });
+            const prefix = pair.label ? `${pair.label}: ` : '';
+            if (!low || !high) return `${prefix}${t(this.locale, 'noData')}`;
+            return prefix + t(this.locale, 'summary.extremes', {
+                min: `${low[pair.min]}${getTempSymbol(this.locale)}`,
+                minDate: formatSlotKey(this.locale, low[0]),
+                max: `${high[pair.max]}${getTempSymbol(this.locale)}`,
+                maxDate: formatSlotKey(this.locale, high[0])
+            });
+        });
+
+        const count = t(this.locale, 'unit.days', { n: table.rows.length });
+        return `${formatSlotKey(this.locale, first)} ~ ${formatSlotKey(this.locale, last)}, ${count}. ${parts.join('. ')}.`;
+    }
+
+    updateDescription() {
+        // Text alternative for the canvas: an announced summary and a table of the visible days
+        const summaryEl = this.root.querySelector('.chart-summary');
+        const tableEl = this.root.querySelector('.chart-table');
+        if (!this.data || (!summaryEl && !tableEl)) return;
+
+        const table = convertTableTemps(this.getExportTable(), this.locale);
+        const pairs = this.getSeriesColumns(table.columns);
+
+        if (summaryEl) {
+            const summary = this.getWindowSummary(table, pairs);
+            if (summaryEl.textContent !== summary) summaryEl.textContent = summary; // Unchanged text is not re-announced
+        }
+
+        if (tableEl) {
+            // Redraws that leave the window alone (hover, selection) do not touch the table
+            const labels = table.columns.map(column => this.getColumnLabel(column, pairs));
+            const rows = table.rows.slice(0, TABLE_MAX_ROWS);
+            const caption = tableEl.querySelector('caption');
+            if (caption) {
+                caption.textContent = rows.length < table.rows.length
+                    ? `${t(this.locale, 'table.caption')} ${t(this.locale, 'table.truncated', { shown: rows.length, total: table.rows.length })}`
+                    : t(this.locale, 'table.caption');
+            }
+
+            const content = JSON.stringify([labels, rows, table.rows.length]);
+            if (content === this.describedTable) return;
+            this.describedTable = content;
+
+            const head = tableEl.querySelector('thead tr');
+            const body = tableEl.querySelector('tbody');
+            head.innerHTML = '';
+            body.innerHTML = '';
+
+            labels.forEach(label => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = label;
+                head.appendChild(th);
+            });
+            rows.forEach(row => {
+                const tr = document.createElement('tr');
+                row.forEach((value, i) => {
+                    const cell = document.createElement(i === 0 ? 'th' : 'td');
+                    if (i === 0) {
+                        cell.scope = 'row';
+                        cell.textContent = formatSlotKey(this.locale, value);
+                    } else {
+                        cell.textContent = value === null ? t(this.locale, 'noData') : value;
+                    }
+                    tr.appendChild(cell);
+                });
+                body.appendChild(tr);
+            });
+        }
+    }
+
+    // --- Statistics ---
+
+    getStatsSeries() {
+        // [{ label, values }] with values[slot] = [min, max] or null: years when comparing, else stations
+        if (this.mode === 'compare') return this.compare.series;
+        const stationSeries = this.getStationSeries();
+        if (stationSeries) return stationSeries;
+        return [{ label: '', values: this.data.days.map(d => (isMissingDay(d) ? null : [d[1], d[2]])) }];
+    }
+
+    updateStatsPanel() {
+        // One column per series; the table is only replaced when its content changes, so focus on a button survives redraws
+        const panel = this.statsPanel;
+        if (!panel || !this.data) return;
+
+        const { start, end } = this.getVisibleRange();
+        const rangeEl = panel.querySelector('.stats-range');
+        const current = panel.querySelector('.stats-table');
+        if (end <= start) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+        if (rangeEl) rangeEl.textContent = `${formatSlotKey(this.locale, this.getSlotKey(start))} ~ ${formatSlotKey(this.locale, this.getSlotKey(end - 1))}`;
+
+        const series = this.getStatsSeries();
+        const stats = series.map(s => getRangeStats(s.values, start, end));
+        const text = (value) => (value === null ? t(this.locale, 'noData') : formatTemp(this.locale, value));
+        const extreme = (item, format = formatTemp) => {
+            if (!item) return t(this.locale, 'noData');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.slot = this.getSlotKey(item.index);
+            button.title = t(this.locale, 'stats.select');
+            button.textContent = `${format(this.locale, item.value)} · ${formatSlotKey(this.locale, button.dataset.slot)}`;
+            return button;
+        };
+        const days = (n) => t(this.locale, 'unit.days', { n });
+
+        const rows = [
+            [t(this.locale, 'stats.days'), s => t(this.locale, 'stats.dayCount', { days: s.days, total: s.total })],
+            [t(this.locale, 'stats.meanMin'), s => text(s.meanMin)],
+            [t(this.locale, 'stats.meanMax'), s => text(s.meanMax)],
+            [t(this.locale, 'stats.lowest'), s => extreme(s.lowest)],
+            [t(this.locale, 'stats.highest'), s => extreme(s.highest)],
+            [t(this.locale, 'stats.widest'), s => extreme(s.widest, formatTempChange)],
+            [t(this.locale, 'stats.tropicalNights', { value: formatTemp(this.locale, STAT_THRESHOLDS.tropicalNight, 0) }), s => days(s.tropicalNights)],
+            [t(this.locale, 'stats.heatwaveDays', { value: formatTemp(this.locale, STAT_THRESHOLDS.heatwave, 0) }), s => days(s.heatwaveDays)],
+            [t(this.locale, 'stats.freezingDays', { value: formatTemp(this.locale, STAT_THRESHOLDS.freezing, 0) }), s => days(s.freezingDays)]
+        ];
+
+        const table = document.createElement('table');
+        table.className = 'stats-table';
+        if (series.length > 1) {
+            const head = table.createTHead().insertRow();
+            head.appendChild(document.createElement('td'));
+            series.forEach(s => {
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.textContent = s.label;
+                head.appendChild(th);
+            });
+        }
+        const body = table.createTBody();
+        rows.forEach(([label, cell]) => {
+            const tr = body.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = label;
+            tr.appendChild(th);
+            stats.forEach(s => {
+                const td = tr.insertCell();
+                td.append(cell(s));
+            });
+        });
+
+        if (!current) {
+            panel.appendChild(table);
+        } else if (current.outerHTML !== table.outerHTML) {
+            current.replaceWith(table);
+        }
+    }
+
+    getSlotAt(mouseX, mouseY) {
+        // Slot under a position on the canvas, or null outside the plotted days
+        if (!this.scaleInfo || !this.data) return null;
+        if (this.scaleInfo.grid) return this.getGridSlotAt(mouseX, mouseY);
+        if (mouseX < this.scaleInfo.padding.left) return null;
+
+        const visibleIndex = Math.floor((mouseX - this.scaleInfo.padding.left) / this.scaleInfo.barWidth);
+
+        // Convert visible index to actual data index
+        const actualIndex = this.scaleInfo.start + visibleIndex;
+        const { end } = this.getVisibleRange();
+        return actualIndex < Math.min(end, this.getSlotCount()) ? actualIndex : null;
+    }
+
+    getGridSlotAt(mouseX, mouseY) {
+        // Heatmap calendar: week column and weekday row -> slot
+        const { grid, start } = this.scaleInfo;
+        const col = Math.floor((mouseX - grid.left) / grid.cell);
+        const row = Math.floor((mouseY - grid.top) / grid.cell);
+        if (col < 0 || row < 0 || row > 6) return null;
+
+        const index = start + (col * 7) + row - grid.offset;
+        const { end } = this.getVisibleRange();
+        return index >= start && index < end ? index : null;
+    }
+
+    handleClick(e) {
+        if (this.isDragging) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const index = this.getSlotAt(e.clientX - rect.left, e.clientY - rect.top);
+        if (index !== null) {
+            this.selectDay(index);
+        }
+    }
+
+    handleHover(e) {
+        // Crosshair and tooltip follow the mouse, snapped to the nearest day; none while dragging or pinching
+        if (this.isDragging || this.isZooming || !this.scaleInfo) {
+            this.clearHover();
+            return;
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const { layout } = this.scaleInfo;
+        const index = this.getSlotAt(x, y);
+        if (index === null || y < layout.padding.top || y > layout.height - layout.padding.bottom) {
+            this.clearHover();
+            return;
+        }
+
+        this.hover = { index, y };
+        this.draw();
+        this.showTooltip(index, x, y);
+    }
+
+    clearHover() {
+        if (this.tooltip) this.tooltip.classList.add('hidden');
+        if (!this.hover) return;
+        this.hover = null;
+        this.draw();
+    }
+
+    getTooltipLines(index) {
+        // Title and value lines for one slot
+        const range = (value) => (value
+            ? t(this.locale, 'value.minMaxRange', { min: formatTemp(this.locale, value[0]), max: formatTemp(this.locale, value[1]), range: formatTempChange(this.locale, value[1] - value[0]) })
+            : t(this.locale, 'noData'));
+
+        if (this.mode === 'compare') {
+            return {
+                title: formatSlotKey(this.locale, CALENDAR_KEYS[index]),
+                lines: this.compare.series.map(s => `${s.label}: ${range(s.values[index])}`)
+            };
+        }
+
+        const day = this.data.days[index];
+        const title = formatSlotKey(this.locale, day[0]);
+        const stationSeries = this.getStationSeries();
+        if (stationSeries) {
+            return { title, lines: stationSeries.map(s => `${s.label}: ${range(s.values[index])}`) };
+        }
+        if (isMissingDay(day)) return { title, lines: [t(this.locale, 'noData')] };
+
+        const lines = [
+            t(this.locale, 'value.minMax', { min: formatTemp(this.locale, day[1]), max: formatTemp(this.locale, day[2]) }),
+            t(this.locale, 'value.range', { value: formatTempChange(this.locale, day[2] - day[1]) }),
+            t(this.locale, 'value.mean', { value: formatTemp(this.locale, getDayMean(day)) })
+        ];
+        const prev = index > 0 ? this.data.days[index - 1] : null;
+        if (prev && !isMissingDay(prev)) {
+            lines.push(t(this.locale, 'value.vsPrevious', { value: formatTempChange(this.locale, getDayMean(day) - getDayMean(prev), true) }));
+        }
+        return { title, lines };
+    }
+
+    showTooltip(index, x, y) {
+        // Positioned next to the pointer, flipped to stay inside the chart container
+        const tooltip = this.tooltip;
+        if (!tooltip) return;
+
+        const { title, lines } = this.getTooltipLines(index);
+        tooltip.innerHTML = '';
+        const titleEl = document.createElement('strong');
+        titleEl.textContent = title;
+        tooltip.appendChild(titleEl);
+        lines.forEach(line => {
+            const lineEl = document.createElement('div');
+            lineEl.textContent = line;
+            tooltip.appendChild(lineEl);
+        });
+        tooltip.classList.remove('hidden');
+
+        const container = tooltip.offsetParent || this.canvas.parentElement;
+        const offset = 12;
+        const tipWidth = tooltip.offsetWidth;
+        const tipHeight = tooltip.offsetHeight;
+        let left = x + offset;
+        let top = y + offset;
+        if (left + tipWidth > container.clientWidth) left = x - offset - tipWidth;
+        if (top + tipHeight > container.clientHeight) top = y - offset - tipHeight;
+        tooltip.style.left = `${Math.max(0, left)}px`;
+        tooltip.style.top = `${Math.max(0, top)}px`;
+    }
+
+    selectDay(index) {
+        this.selectedIndex = index;
+        this.showingRange = false;
+        if (this.mode === 'compare') {
+            this.updateCompareInfoPanel(index);
+        } else {
+            const dayData = this.data.days[index];
+            this.updateInfoPanel(dayData);
+        }
+        this.draw(); // Redraw to show highlight
+        if (this.onSelectionChange) this.onSelectionChange();
+    }
+
+    updateInfoPanel(data) {
+        // data: [dateStr, min, max]
+        const dateEl = this.root.querySelector('.selection-panel .selected-date');
+        const minValEl = this.root.querySelector('.selection-panel .temp-min .value');
+        const maxValEl = this.root.querySelector('.selection-panel .temp-max .value');
+
+        if (!dateEl || !minValEl || !maxValEl) return;
+
+        dateEl.textContent = formatSlotKey(this.locale, data[0]);
+
+        const missing = isMissingDay(data);
+        minValEl.textContent = missing ? t(this.locale, 'noData') : formatTemp(this.locale, data[1]);
+        maxValEl.textContent = missing ? t(this.locale, 'noData') : formatTemp(this.locale, data[2]);
+
+        const extrasEl = this.root.querySelector('.selection-panel .extras');
+        if (extrasEl) {
+            const parts = [];
+            const mean = data[DAY_COLUMNS.indexOf('mean')];
+            if (mean !== null && mean !== undefined) parts.push(t(this.locale, 'value.mean', { value: formatTemp(this.locale, mean) }));
+            Object.entries(VARIABLES).forEach(([name, variable]) => {
+                const value = data[DAY_COLUMNS.indexOf(name)];
+                if (value !== null && value !== undefined) parts.push(`${t(this.locale, variable.message)} ${value}${variable.unit}`);
+            });
+            extrasEl.textContent = parts.join(' · ');
+            extrasEl.classList.toggle('hidden', parts.length === 0 || this.stationOverlays.length > 0);
+        }
+
+        const anomalyEl = this.root.querySelector('.selection-panel .anomaly');
+        if (anomalyEl) {
+            const normal = this.getNormalForDate(data[0]);
+            if (normal && !missing && this.stationOverlays.length === 0) {
+                anomalyEl.textContent = t(this.locale, 'value.anomaly', {
+                    min: formatTempChange(this.locale, data[1] - normal.min_mean, true),
+                    max: formatTempChange(this.locale, data[2] - normal.max_mean, true)
+                });
+                anomalyEl.classList.remove('hidden');
+            } else {
+                anomalyEl.classList.add('hidden');
+            }
+        }
+
+        if (this.stationOverlays.length > 0) {
+            const rows = [{ ...this.primaryStation, value: missing ? null : [data[1], data[2]] }]
+                .concat(this.stationOverlays.map(o => ({ ...o, value: o.byDate.get(data[0]) })));
+            this.renderValueList(rows);
+        }
+    }
+
+    refreshText() {
+        // Language or unit changed: rewrite the selection panel, then redraw (which rebuilds the text version)
+        if (!this.data) return;
+        if (this.showingRange) {
+            this.updateRangePanel();
+        } else if (this.selectedIndex !== null && this.selectedIndex !== undefined) {
+            if (this.mode === 'compare') this.updateCompareInfoPanel(this.selectedIndex);
+            else this.updateInfoPanel(this.data.days[this.selectedIndex]);
+        } else {
+            const dateEl = this.root.querySelector('.selection-panel .selected-date');
+            if (dateEl) dateEl.textContent = t(this.locale, 'date.none');
+        }
+        this.draw();
+    }
+
+    updateRangePanel() {
+        // Selection panel for a chosen period: its dates as the heading, then the extremes within it
+        if (!this.data || this.mode !== 'timeline') return;
+        const dateEl = this.root.querySelector('.selection-panel .selected-date');
+        const minValEl = this.root.querySelector('.selection-panel .temp-min .value');
+        const maxValEl = this.root.querySelector('.selection-panel .temp-max .value');
+        if (!dateEl || !minValEl || !maxValEl) return;
+
+        this.showingRange = true;
+        const { start, end } = this.getVisibleRange();
+        dateEl.textContent = `${formatSlotKey(this.locale, this.getSlotKey(start))} ~ ${formatSlotKey(this.locale, this.getSlotKey(end - 1))}`;
+        this.root.querySelectorAll('.selection-panel .anomaly, .selection-panel .extras').forEach(el => {
+            el.classList.add('hidden');
+        });
+
+        const extremes = (values) => {
+            let low = null;
+            let high = null;
+            for (let i = start; i < end; i++) {
+                if (!values[i]) continue;
+                if (low === null || values[i][0] < low) low = values[i][0];
+                if (high === null || values[i][1] > high) high = values[i][1];
+            }
+            return low === null ? null : [low, high];
+        };
+
+        const stationSeries = this.getStationSeries();
+        if (stationSeries) {
+            this.renderValueList(stationSeries.map(s => ({ ...s, value: extremes(s.values) })));
+            return;
+        }
+
+        const range = extremes(this.data.days.map(d => (isMissingDay(d) ? null : [d[1], d[2]])));
+        minValEl.textContent = range ? formatTemp(this.locale, range[0]) : t(this.locale, 'noData');
+        maxValEl.textContent = range ? formatTemp(this.locale, range[1]) : t(this.locale, 'noData');
+    }
+
+    renderValueList(rows) {
+        // rows: [{ label, color, value: [min, max] | undefined }]
+        const listEl = this.root.querySelector('.selection-panel .compare-values');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.style.color = row.color;
+            item.textContent = row.value
+                ? t(this.locale, 'value.row', { label: row.label, min: formatTemp(this.locale, row.value[0]), max: formatTemp(this.locale, row.value[1]) })
+                : `${row.label}: ${t(this.locale, 'noData')}`;
+            listEl.appendChild(item);
+        });
+    }
+
+    updateCompareInfoPanel(slot) {
+        // Lists every compared year's min/max for one calendar day
+        const dateEl = this.root.querySelector('.selection-panel .selected-date');
+        if (!dateEl) return;
+
+        dateEl.textContent = formatSlotKey(this.locale, CALENDAR_KEYS[slot]);
+
+        this.renderValueList(this.compare.series.map(s => ({ ...s, value: s.values[slot] })));
+    }
+}
+
+// --- Export Helpers ---
+
+const EXPORT_SIZES = {
+    '1200x600': { width: 1200, height: 600, pixelRatio: 1 },
+    '2400x1200': { width: 1200, height: 600, pixelRatio: 2 },
+    '1920x1080': { width: 1920, height: 1080, pixelRatio: 1 },
+    '3840x2160': { width: 1920, height: 1080, pixelRatio: 2 }
+};
+// Credited when meta.json does not list the sources of its data (files written before it did)
+const DEFAULT_DATA_SOURCES = [{ name: 'Open-Meteo', url: 'https://open-meteo.com/' }];
+
+function getDataSources(meta) {
+    // [{ name, url }] as the generator recorded them from its source adapters
+    return meta && Array.isArray(meta.sources) && meta.sources.length > 0 ? meta.sources : DEFAULT_DATA_SOURCES;
+}
+
+function formatAttribution(locale, sources) {
+    return t(locale, 'export.attribution', { source: sources.map(s => s.name).join(', ') });
+}
+
+function convertTableTemps(table, locale) {
+    // Temperature columns (min, max, mean, <series>_min, <series>_max) in the display unit
+    if (locale.unit === 'celsius') return table;
+    const isTemp = table.columns.map(column => /(^|_)(min|max|mean)$/.test(column));
+    return {
+        columns: table.columns,
+        rows: table.rows.map(row => row.map((value, i) => (
+            isTemp[i] && value !== null ? Number(toDisplayTemp(locale, value).toFixed(1)) : value
+        )))
+    };
+}
+
+function tableToCsv(table) {
+    const escape = (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [table.columns, ...table.rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function renderExportImage(chart, { title, legend, size, sources }) {
+    // Title and legend above, the chart itself, attribution below -> canvas
+    const { width, height, pixelRatio } = EXPORT_SIZES[size] || EXPORT_SIZES['1200x600'];
+    const header = 64;
+    const footer = 32;
+
+    const chartCanvas = document.createElement('canvas');
+    chartCanvas.width = width * pixelRatio;
+    chartCanvas.height = (height - header - footer) * pixelRatio;
+    chart.renderToCanvas(chartCanvas, pixelRatio);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width * pixelRatio;
+    canvas.height = height * pixelRatio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    const palette = chart.getPalette();
+
+    ctx.fillStyle = palette.background;
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = palette.text;
+    ctx.font = 'bold 20px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(title, 20, 22);
+
+    let x = 20;
+    ctx.font = '13px sans-serif';
+    legend.forEach(item => {
+        ctx.fillStyle = item.color;
+        ctx.fillRect(x, 45, 12, 12);
+        ctx.fillStyle = palette.chartText;
+        ctx.fillText(item.label, x + 17, 51);
+        x += 17 + ctx.measureText(item.label).width + 18;
+    });
+
+    ctx.drawImage(chartCanvas, 0, header, width, height - header - footer);
+
+    ctx.fillStyle = palette.axisText;
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'right';
+    const credit = [formatAttribution(chart.locale, sources)].concat(sources.map(s => s.url)).join(' · ');
+    ctx.fillText(credit, width - 20, height - footer / 2);
+
+    return canvas;
+}
+
+// --- URL State ---
+// The view is mirrored in the query string so that a link reopens the same chart, e.g.
+//   ?station=159&year=2024&from=2024-07-01&to=2024-07-31&day=2024-07-18&stations=112&panel=precipitation&view=band&ind=ma30,trend
+// &records=1 opens the station's records list under the chart.
+// In compare mode (&compare=2023,2024) from/to/day are calendar keys (MM-DD) instead of dates.
+// from/to are left out while a whole year (or the whole calendar) is on screen.
+
+const URL_KEY_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+const URL_UPDATE_DELAY = 300; // ms of quiet before a pan or zoom becomes a history entry
+
+export function parseViewParams(search) {
+    const params = new URLSearchParams(search);
+    const list = (name) => (params.get(name) || '').split(',').filter(Boolean);
+    const key = (name) => {
+        const value = params.get(name);
+        return value && URL_KEY_PATTERN.test(value) ? value : null;
+    };
+    const year = Number(params.get('year'));
+    const compare = list('compare').map(Number).filter(Number.isInteger);
+    const panel = params.get('panel');
+
+    return {
+        station: params.get('station'),
+        year: params.has('year') && Number.isInteger(year) ? year : null,
+        from: key('from'),
+        to: key('to'),
+        day: key('day'),
+        stations: list('stations'),
+        compare: compare.length > 0 ? compare : null,
+        panel: Object.prototype.hasOwnProperty.call(VARIABLES, panel) ? panel : null,
+        view: RENDER_MODES.includes(params.get('view')) ? params.get('view') : 'candle',
+        color: COLOR_RULES.includes(params.get('color')) ? params.get('color') : 'previous',
+        indicators: list('ind').filter(key => Object.prototype.hasOwnProperty.call(INDICATORS, key)),
+        records: params.get('records') === '1'
+    };
+}
+
+export function buildViewParams(state) {
+    const params = new URLSearchParams();
+    params.set('station', state.station);
+    if (state.year !== null) params.set('year', state.year);
+    if (state.from && state.to) {
+        params.set('from', state.from);
+        params.set('to', state.to);
+    }
+    if (state.day) params.set('day', state.day);
+    if (state.stations.length > 0) params.set('stations', state.stations.join(','));
+    if (state.compare) params.set('compare', state.compare.join(','));
+    if (state.panel) params.set('panel', state.panel);
+    if (state.view !== 'candle') params.set('view', state.view);
+    if (state.color !== 'previous') params.set('color', state.color);
+    if (state.indicators.length > 0) params.set('ind', state.indicators.join(','));
+    if (state.records) params.set('records', '1');
+    return `?${params.toString().replace(/%2C/g, ',')}`;
+}
+
+// --- App Controller ---
+export class WeatherApp {
+    // root: the page (document) or an embed element built by createWeatherChart.
+    // options: { dataBaseUrl, state (parsed view, instead of the URL), syncUrl (default true), theme }
+    constructor(root = document, options = {}) {
+        this.root = root;
+        this.isPage = root === document; // Owns the document title, <html lang> and the page theme
+        this.syncsUrl = options.syncUrl !== false;
+        this.initialState = options.state || null;
+
+        this.currentYear = null; // From the URL, else the station's latest year (see loadStation)
+        this.stationId = '108'; // Default: Seoul
+        this.stations = [];     // From data/stations.json
+        this.meta = null;       // meta.json of the station on screen
+        this.locale = { ...DEFAULT_LOCALE };
+        this.appearance = { choice: 'auto', theme: 'light' }; // Chosen theme and the one it resolves to
+        this.loadPreferences(); // Language and temperature unit
+        if (THEME_CHOICES.includes(options.theme)) this.appearance.choice = options.theme; // Not saved
+
+        // 'select', 'rangechange' and 'error', with the details in event.detail
+        this.events = new EventTarget();
+        this.lastRange = null; // Range last announced by 'rangechange'
+        this.listeners = new AbortController(); // Window listeners, removed in destroy()
+
+        this.dataManager = new DataManager(options.dataBaseUrl);
+        this.dataManager.onResponse = (fromCache) => {
+            this.isShowingCached = fromCache;
+            this.updateOfflineUI();
+        };
+        this.isShowingCached = false; // Last data response came from the service worker cache
+        const find = (selector) => root.querySelector(selector);
+        this.chart = new ChartRenderer(find('.chart-container canvas'), root, {
+            locale: this.locale,
+            appearance: this.appearance
+        });
+        this.chart.onEdgeReached = (direction) => this.loadAdjacentYear(direction);
+        this.chart.onWindowChange = () => {
+            this.syncYearFromChart();
+            this.scheduleUrlUpdate();
+        };
+        this.chart.onSelectionChange = () => {
+            this.scheduleUrlUpdate();
+            this.emit('select', this.getSelection());
+        };
+        this.pendingEdges = new Map(); // Direction -> adjacent-year fetch in flight
+
+        // Year-over-year compare mode
+        this.isComparing = false;
+        this.compareYears = [];
+
+        // Multi-station comparison on the timeline
+        this.extraStations = [];          // Station ids drawn next to the selected one
+        this.overlayLoaded = new Set();   // `${stationId}-${year}` already requested for overlays
+
+        // All-time records list under the chart
+        this.showingRecords = false;
+        this.recordsStation = null; // Station whose records are shown (or loading)
+        this.records = null;        // Its records once loaded
+
+        // Deep links: the URL follows the view once the initial state has been restored
+        this.urlReady = false;
+        this.isRestoring = false;
+        this.urlTimer = null;
+
+        this.ui = {
+            stationSelect: find('#station-select'),
+            languageSelect: find('#language-select'),
+            unitSelect: find('#unit-select'),
+            themeSelect: find('#theme-select'),
+            yearDisplay: find('#current-year-display'),
+            btnPrev: find('button[data-action="prev"]'),
+            btnNext: find('button[data-action="next"]'),
+            btnCompare: find('#btn-compare'),
+            btnRecords: find('#btn-records'),
+            recordsPanel: find('#records-panel'),
+            compareYears: find('#compare-years'),
+            compareStations: find('#compare-stations'),
+            secondarySelect: find('#secondary-select'),
+            renderModeSelect: find('#render-mode'),
+            colorRuleSelect: find('#color-rule'),
+            rangeForm: find('#range-form'),
+            rangeFrom: find('#range-from'),
+            rangeTo: find('#range-to'),
+            rangeMonth: find('#range-month'),
+            rangePresets: Array.from(root.querySelectorAll('[data-range]')),
+            indicatorInputs: Array.from(root.querySelectorAll('input[name="indicator"]')),
+            loader: find('.loading-indicator'),
+            offline: find('#offline-indicator'),
+            error: find('.error-message')
+        };
+
+        this.ready = this.init(); // Settles once the first view is on screen
+    }
+
+    async init() {
+        this.bindEvents();
+        this.applyPreferences();
+        await this.loadStations();
+        this.renderStationChoices();
+
+        // Open the view described by the URL (or the options, or the defaults), then keep the URL in step
+        await this.restoreView(this.initialState || parseViewParams(window.location.search));
+        this.urlReady = true;
+        this.lastRange = this.getRange();
+        this.syncUrl(true);
+    }
+
+    // --- Events ---
+
+    emit(type, detail) {
+        this.events.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    getSelection() {
+        // Selected day in °C: { station, date, min, max } on the timeline,
+        // { station, date: 'MM-DD', years: [{ year, min, max }] } when comparing; null if none
+        const index = this.chart.selectedIndex;
+        if (index === null || index === undefined || !this.chart.data) return null;
+        const date = this.chart.getSlotKey(index);
+        if (this.chart.mode === 'compare') {
+            const years = this.chart.compare.series.map(s => {
+                const value = s.values[index];
+                return { year: s.year, min: value ? value[0] : null, max: value ? value[1] : null };
+            });
+            return { station: this.stationId, date, years };
+        }
+        const day = this.chart.data.days[index];
+        return { station: this.stationId, date, min: day[1], max: day[2] };
+    }
+
+    getRange() {
+        // Window on screen: { station, mode, from, to } (MM-DD keys when comparing), null before any data
+        const view = this.chart.getViewState();
+        if (!view) return null;
+        return { station: this.stationId, mode: this.chart.mode, from: view.from, to: view.to };
+    }
+
+    announceRange() {
+        const range = this.getRange();
+        if (!range || (this.lastRange && ['station', 'mode', 'from', 'to'].every(k => range[k] === this.lastRange[k]))) return;
+        this.lastRange = range;
+        this.emit('rangechange', range);
+    }
+
+    async loadStations() {
+        // Fill the station dropdown from data/stations.json
+        this.stations = await this.dataManager.fetchStations();
+        if (this.stations.length === 0) {
+            this.showError(t(this.locale, 'error.stations'));
+            return;
+        }
+
+        if (!this.stations.some(s => s.id === this.stationId)) {
+            this.stationId = this.stations[0].id;
+        }
+
+        const select = this.ui.stationSelect;
+        if (!select) return;
+        select.innerHTML = '';
+        this.stations.forEach(station => {
+            const option = document.createElement('option');
+            option.value = station.id;
+            option.textContent = this.getStationName(station);
+            option.selected = station.id === this.stationId;
+            select.appendChild(option);
+        });
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+        if (this.ui.stationSelect) {
+            this.ui.stationSelect.addEventListener('change', (e) => {
+                this.stationId = e.target.value;
+                this.extraStations = this.extraStations.filter(id => id !== this.stationId);
+                this.renderStationChoices();
+                this.loadStation(this.stationId);
+            });
+        }
+
+        // Language, unit and theme switches
+        if (this.ui.languageSelect) {
+            this.ui.languageSelect.addEventListener('change', (e) => this.setPreferences({ language: e.target.value }));
+        }
+        if (this.ui.unitSelect) {
+            this.ui.unitSelect.addEventListener('change', (e) => this.setPreferences({ unit: e.target.value }));
+        }
+        if (this.ui.themeSelect) {
+            this.ui.themeSelect.addEventListener('change', (e) => this.setPreferences({ theme: e.target.value }));
+        }
+        // 'auto' follows the device when its light/dark or contrast setting changes
+        if (window.matchMedia) {
+            ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+                window.matchMedia(query).addEventListener('change', () => {
+                    if (this.appearance.choice === 'auto') this.applyPreferences();
+                }, { signal });
+            });
+        }
+
+        if (this.ui.btnPrev) {
+            this.ui.btnPrev.addEventListener('click', () => this.changeYear(-1));
+            this.ui.btnNext.addEventListener('click', () => this.changeYear(1));
+        }
+
+        if (this.ui.btnCompare) {
+            this.ui.btnCompare.addEventListener('click', () => this.toggleCompare());
+        }
+
+        // Records: the button toggles the list, its entries jump to their day
+        if (this.ui.btnRecords) {
+            this.ui.btnRecords.addEventListener('click', () => this.toggleRecords());
+            this.ui.recordsPanel.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-from]');
+                if (button) this.showRecord(button.dataset.from, button.dataset.to);
+            });
+        }
+
+        // Date Range
+        if (this.ui.rangeForm) {
+            this.ui.rangeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (this.ui.rangeFrom.value && this.ui.rangeTo.value) {
+                    this.showDateRange(this.ui.rangeFrom.value, this.ui.rangeTo.value);
+                }
+            });
+        }
+        this.ui.rangePresets.forEach(button => {
+            button.addEventListener('click', () => this.applyRangePreset(button.dataset.range));
+        });
+        if (this.ui.rangeMonth) {
+            this.ui.rangeMonth.addEventListener('change', (e) => {
+                if (e.target.value) this.showMonth(Number(e.target.value));
+                e.target.value = '';
+            });
+        }
+
+        // Secondary panel (precipitation, humidity, ...)
+        if (this.ui.secondarySelect) {
+            this.ui.secondarySelect.addEventListener('change', (e) => {
+                this.chart.setSecondaryVariable(e.target.value || null);
+                this.scheduleUrlUpdate();
+            });
+        }
+
+        // Indicator Menu (moving averages, trend, variability band)
+        this.ui.indicatorInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                this.chart.setIndicators(this.ui.indicatorInputs.filter(i => i.checked).map(i => i.value));
+                this.scheduleUrlUpdate();
+            });
+        });
+
+        if (this.ui.renderModeSelect) {
+            this.ui.renderModeSelect.addEventListener('change', (e) => {
+                this.chart.setRenderMode(e.target.value);
+                this.scheduleUrlUpdate();
+            });
+        }
+        if (this.ui.colorRuleSelect) {
+            this.ui.colorRuleSelect.addEventListener('change', (e) => {
+                this.chart.setColorRule(e.target.value);
+                this.scheduleUrlUpdate();
+            });
+        }
+
+        window.addEventListener('online', () => this.updateOfflineUI(), { signal });
+        window.addEventListener('offline', () => this.updateOfflineUI(), { signal });
+
+        // Back/forward steps through earlier views
+        if (this.syncsUrl) {
+            window.addEventListener('popstate', () => {
+                this.restoreView(parseViewParams(window.location.search));
+            }, { signal });
+        }
+
+        // Export Menu
+        this.root.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportView(button.dataset.export));
+        });
+
+        // Zoom Controls
+        const btnZoomIn = this.root.querySelector('#btn-zoom-in');
+        const btnZoomOut = this.root.querySelector('#btn-zoom-out');
+        const btnReset = this.root.querySelector('#btn-reset');
+
+        if (btnZoomIn) {
+            btnZoomIn.addEventListener('click', () => {
+                console.log("Zoom In Clicked");
+                this.chart.zoom(0.25);
+            });
+        }
+        if (btnZoomOut) {
+            btnZoomOut.addEventListener('click', () => {
+                console.log("Zoom Out Clicked");
+                this.chart.zoom(-0.25);
+            });
+        }
+        if (btnReset) {
+            btnReset.addEventListener('click', () => {
+                console.log("Reset Clicked");
+                this.chart.resetZoom();
+            });
+        }
+    }
+
+    async loadStation(id) {
+        if (this.ui.stationSelect) this.ui.stationSelect.disabled = true;
+        try {
+            // Load Meta
+            const meta = await this.dataManager.fetchMeta(id);
+            if (!meta) throw new Error(t(this.locale, 'error.meta'));
+
+            this.meta = meta;
+            this.updateAttribution();
+            this.availableYears = meta.available_years.sort((a, b) => a - b);
+            this.updateRangeLimits();
+
+            // If current year not in available, pick closest or last
+            if (!this.availableYears.includes(this.currentYear)) {
+                this.currentYear = this.availableYears[this.availableYears.length - 1];
+            }
+
+            // The new normals go on the chart together with the new station's days
+            const normals = await this.dataManager.fetchNormals(id);
+            await this.loadYear(this.currentYear, normals);
+            this.updateStationOverlays();
+            if (this.showingRecords) this.loadRecords();
+
+            if (this.isComparing) {
+                this.compareYears = this.compareYears.filter(y => this.availableYears.includes(y));
+                if (this.compareYears.length === 0) this.compareYears = [this.currentYear];
+                this.renderCompareYears();
+                await this.loadCompare();
+            }
+        } catch (e) {
+            this.showError(e.message);
+        } finally {
+            if (this.ui.stationSelect) this.ui.stationSelect.disabled = false;
+        }
+    }
+
+    async changeYear(offset) {
+        if (!this.availableYears) return;
+
+        const currentIndex = this.availableYears.indexOf(this.currentYear);
+        let newIndex = currentIndex + offset;
+
+        if (newIndex >= 0 && newIndex < this.availableYears.length) {
+            await this.jumpToYear(this.availableYears[newIndex]);
+        }
+    }
+
+    async jumpToYear(year) {
+        // Year buttons are shortcuts into the timeline, not dataset boundaries
+        if (this.chart.hasYear(year)) {
+            this.chart.showYear(year);
+            return;
+        }
+
+        const loaded = this.chart.getLoadedYears();
+        const yearIndex = this.availableYears.indexOf(year);
+        const firstIndex = this.availableYears.indexOf(loaded[0]);
+        const lastIndex = this.availableYears.indexOf(loaded[loaded.length - 1]);
+
+        if (loaded.length > 0 && (yearIndex === firstIndex - 1 || yearIndex === lastIndex + 1)) {
+            const direction = yearIndex < firstIndex ? -1 : 1;
+            if (await this.loadAdjacentYear(direction)) {
+                this.chart.showYear(year);
+            }
+        } else {
+            this.currentYear = year;
+            await this.loadYear(year);
+        }
+    }
+
+    async loadYear(year, normals) {
+        // Replaces the whole timeline with a single year; normals (when given) replace the
+        // station's normals in the same step, so no candles are drawn over another station's band
+        this.showLoading(true);
+        this.updateYearUI();
+
+        try {
+            const data = await this.dataManager.fetchData(this.stationId, year);
+            if (normals !== undefined) this.chart.setNormals(normals);
+            this.chart.setData(data);
+            this.updateDayBefore();
+            this.updateRangeInputs();
+            this.loadOverlayData();
+            this.scheduleUrlUpdate();
+            this.showError(null); // Clear errors
+        } catch (e) {
+            this.showError(t(this.locale, 'error.year', { year }));
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    loadAdjacentYear(direction) {
+        // Extends the timeline by one year on either side. Resolves to true if a year was added.
+        // A call while a fetch for the same side is in flight shares its result.
+        if (!this.availableYears) return Promise.resolve(false);
+        if (!this.pendingEdges.has(direction)) {
+            const request = this.extendTimeline(direction).finally(() => this.pendingEdges.delete(direction));
+            this.pendingEdges.set(direction, request);
+        }
+        return this.pendingEdges.get(direction);
+    }
+
+    async extendTimeline(direction) {
+        const loaded = this.chart.getLoadedYears();
+        if (loaded.length === 0) return false;
+
+        const edgeYear = direction < 0 ? loaded[0] : loaded[loaded.length - 1];
+        const year = this.availableYears[this.availableYears.indexOf(edgeYear) + direction];
+        if (year === undefined) return false;
+
+        const stationId = this.stationId;
+        try {
+            const data = await this.dataManager.fetchData(stationId, year);
+            // Drop the result if the station changed or the timeline was reset meanwhile
+            if (stationId !== this.stationId || !this.chart.hasYear(edgeYear)) return false;
+            this.chart.extendData(data, direction);
+            if (direction < 0) this.updateDayBefore();
+            this.loadOverlayData();
+            return true;
+        } catch (e) {
+            this.showError(t(this.locale, 'error.year', { year }));
+            return false;
+        }
+    }
+
+    async updateDayBefore() {
+        // Gives the chart Dec 31 of the year before the first loaded one, so that the first day is
+        // coloured against it rather than neutral; neutral stays when that day has no data
+        const loaded = this.chart.getLoadedYears();
+        if (loaded.length === 0) return;
+        const year = loaded[0] - 1;
+        if (!this.availableYears || !this.availableYears.includes(year)) return;
+
+        const stationId = this.stationId;
+        try {
+            const data = await this.dataManager.fetchData(stationId, year);
+            if (stationId !== this.stationId || this.chart.getLoadedYears()[0] !== year + 1) return;
+            const day = data.days[data.days.length - 1];
+            if (day && day[0] === `${year}-12-31`) this.chart.setDayBefore(day);
+        } catch (e) {
+            console.warn(`Day before ${year + 1} unavailable:`, e);
+        }
+    }
+
+    async loadYearRange(firstYear, lastYear) {
+        // Makes the timeline cover firstYear..lastYear, extending what is loaded when it is close enough
+        const loaded = this.chart.getLoadedYears();
+        const overlaps = loaded.length > 0 &&
+            loaded[0] <= lastYear + 1 && loaded[loaded.length - 1] >= firstYear - 1;
+        if (!overlaps) {
+            this.currentYear = firstYear;
+            await this.loadYear(firstYear);
+        }
+
+        let years = this.chart.getLoadedYears();
+        while (years.length > 0 && years[0] > firstYear) {
+            if (!(await this.loadAdjacentYear(-1))) break;
+            years = this.chart.getLoadedYears();
+        }
+        while (years.length > 0 && years[years.length - 1] < lastYear) {
+            if (!(await this.loadAdjacentYear(1))) break;
+            years = this.chart.getLoadedYears();
+        }
+    }
 
-        const ctx = this.ctx;
-        const width = this.canvas.width;
-        const height = this.canvas.height;
-        const days = this.data.days;
+    async showDateRange(from, to) {
+        // Shows exactly from..to ('YYYY-MM-DD'), loading every year file in between
+        if (!this.availableYears || this.isComparing) return;
+        if (from > to) [from, to] = [to, from];
 
-        // Determine View Window
-        const start = Math.floor(this.startIndex);
-        const count = Math.ceil(this.visibleCount);
-        const end = Math.min(days.length, start + count);
+        const firstYear = this.availableYears[0];
+        const lastYear = this.availableYears[this.availableYears.length - 1];
+        if (from < `${firstYear}-01-01`) from = `${firstYear}-01-01`;
+        if (to > `${lastYear}-12-31`) to = `${lastYear}-12-31`;
+        if (from > to) return;
 
-        const viewData = days.slice(start, end);
-        if (viewData.length === 0) return;
+        this.showLoading(true);
+        try {
+            await this.loadYearRange(Number(from.slice(0, 4)), Number(to.slice(0, 4)));
+        } finally {
+            this.showLoading(false);
+        }
 
-        // Configuration
-        const padding = { top: 40, right: 50, bottom: 40, left: 50 };
-        const chartWidth = width - padding.left - padding.right;
-        const chartHeight = height - padding.top - padding.bottom;
+        // A year file may stop before Dec 31; keep to the days that exist
+        const days = this.chart.data ? this.chart.data.days : [];
+        if (days.length === 0) return;
+        if (from < days[0][0]) from = days[0][0];
+        if (to > days[days.length - 1][0]) to = days[days.length - 1][0];
 
-        // Clear
-        ctx.clearRect(0, 0, width, height);
+        if (this.chart.showDates(from, to)) {
+            this.chart.clearSelection();
+            this.chart.updateRangePanel();
+        }
+    }
 
-        // 1. Calculate Scale (Global Y for stability, or Local Y for detail?)
-        // Let's use Global Y for the current year so bars don't jump up and down wildly while panning
-        // BUT, user asked to "Zoom", typically implies seeing details.
-        // Let's update Scale primarily based on VIEW data for max detail?
-        // No, keep year-context is usually better for weather. 
-        // Let's stick to Year Min/Max for Y-axis stability.
+    async getLatestDate() {
+        // Last observed day: from meta.json when the generator recorded it, else from the newest year file
+        if (this.meta && this.meta.last_date) return this.meta.last_date;
 
-        let minTemp = 100;
-        let maxTemp = -100;
+        const year = this.availableYears[this.availableYears.length - 1];
+        const data = await this.dataManager.fetchData(this.stationId, year);
+        const observed = data.days.filter(d => !isMissingDay(d));
+        return observed.length > 0 ? observed[observed.length - 1][0] : `${year}-12-31`;
+    }
 
-        // Calculate min/max from WHOLE year to keep Y axis stable
-        days.forEach(d => {
-            if (d[1] < minTemp) minTemp = d[1];
-            if (d[2] > maxTemp) maxTemp = d[2];
+    async applyRangePreset(preset) {
+        // 'season' or a number of days, ending on the last observed day
+        if (!this.availableYears || this.isComparing) return;
+        let latest;
+        try {
+            latest = await this.getLatestDate();
+        } catch (e) {
+            this.showError(t(this.locale, 'error.latest'));
+            return;
+        }
+
+        if (preset === 'season') {
+            // Spring Mar-May, summer Jun-Aug, autumn Sep-Nov, winter Dec-Feb
+            const [y, m] = latest.split('-').map(Number);
+            const startMonth = [12, 12, 3, 3, 3, 6, 6, 6, 9, 9, 9, 12][m - 1];
+            const startYear = m <= 2 ? y - 1 : y;
+            await this.showDateRange(`${startYear}-${String(startMonth).padStart(2, '0')}-01`, latest);
+        } else {
+            await this.showDateRange(addDaysToDate(latest, -(Number(preset) - 1)), latest);
+        }
+    }
+
+    async showMonth(month) {
+        // A whole month of the year on screen
+        const from = `${this.currentYear}-${String(month).padStart(2, '0')}-01`;
+        await this.showDateRange(from, addDaysToDate(addMonthsToDate(from, 1), -1));
+    }
+
+    updateRangeLimits() {
+        if (!this.ui.rangeFrom || !this.availableYears) return;
+        const min = `${this.availableYears[0]}-01-01`;
+        const max = `${this.availableYears[this.availableYears.length - 1]}-12-31`;
+        [this.ui.rangeFrom, this.ui.rangeTo].forEach(input => {
+            input.min = min;
+            input.max = max;
         });
+    }
 
-        const rangePadding = (maxTemp - minTemp) * 0.1;
-        minTemp = Math.floor(minTemp - rangePadding);
-        maxTemp = Math.ceil(maxTemp + rangePadding);
-        const rangeY = maxTemp - minTemp;
+    updateRangeInputs() {
+        // The date inputs follow the window, however it was changed
+        const view = this.chart.getViewState();
+        if (!this.ui.rangeFrom || !view || this.chart.mode !== 'timeline') return;
+        this.ui.rangeFrom.value = view.from;
+        this.ui.rangeTo.value = view.to;
+    }
 
-        const getY = (temp) => {
-            return padding.top + chartHeight - ((temp - minTemp) / rangeY * chartHeight);
-        };
+    async toggleCompare() {
+        if (!this.availableYears) return;
+        this.isComparing = !this.isComparing;
+        this.updateCompareUI();
+        this.scheduleUrlUpdate();
 
-        // 2. Draw Grid & Y-Axis
-        ctx.fillStyle = '#666';
-        ctx.strokeStyle = '#eee';
-        ctx.lineWidth = 1;
-        ctx.font = '12px sans-serif';
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'middle';
+        if (!this.isComparing) {
+            this.chart.clearCompareData();
+            return;
+        }
 
-        for (let i = 0; i <= 5; i++) {
-            const temp = minTemp + (rangeY * (i / 5));
-            const y = getY(temp);
-            ctx.beginPath();
-            ctx.moveTo(padding.left, y);
-            ctx.lineTo(width - padding.right, y);
-            ctx.stroke();
-            ctx.fillText(`${Math.round(temp)}°C`, width - padding.right + 5, y);
+        // Start with the year on screen and the one before it
+        const index = this.availableYears.indexOf(this.currentYear);
+        this.compareYears = this.availableYears.slice(Math.max(0, index - 1), index + 1);
+        this.renderCompareYears();
+        await this.loadCompare();
+    }
+
+    updateCompareUI() {
+        if (this.ui.btnCompare) {
+            this.ui.btnCompare.setAttribute('aria-pressed', String(this.isComparing));
+            this.ui.compareYears.classList.toggle('hidden', !this.isComparing);
+        }
+        if (this.ui.btnPrev) {
+            this.ui.btnPrev.disabled = this.isComparing;
+            this.ui.btnNext.disabled = this.isComparing;
+        }
+        if (this.ui.compareStations) {
+            this.ui.compareStations.querySelectorAll('input').forEach(input => {
+                input.disabled = this.isComparing; // Station overlays apply to the timeline only
+            });
+        }
+        // Date ranges too: the compare axis has no years
+        if (this.ui.rangeForm) {
+            this.ui.rangeForm.querySelectorAll('input, button').forEach(el => {
+                el.disabled = this.isComparing;
+            });
         }
+        this.ui.rangePresets.forEach(button => {
+            button.disabled = this.isComparing;
+        });
+        if (this.ui.rangeMonth) this.ui.rangeMonth.disabled = this.isComparing;
+    }
 
-        // 3. X-Axis (Dates)
-        // Dynamically adjust label frequency based on zoom
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'top';
-        const barWidth = chartWidth / viewData.length;
+    renderCompareYears() {
+        const container = this.ui.compareYears;
+        if (!container) return;
+        container.innerHTML = '';
 
-        const labelStep = Math.ceil(viewData.length / 6); // Aim for ~6 labels
+        this.availableYears.forEach((year, i) => {
+            const label = document.createElement('label');
+            label.className = 'compare-year';
+            label.style.borderColor = this.chart.getSeriesColor(i);
 
-        viewData.forEach((day, i) => {
-            if (i % labelStep === 0) {
-                const x = padding.left + (i * barWidth) + (barWidth / 2);
-                const dateParts = day[0].split('-'); // YYYY-MM-DD
-                const label = `${dateParts[1]}.${dateParts[2]}`; // MM.DD
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = year;
+            checkbox.checked = this.compareYears.includes(year);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.compareYears.push(year);
+                } else if (this.compareYears.length > 1) {
+                    this.compareYears = this.compareYears.filter(y => y !== year);
+                } else {
+                    checkbox.checked = true; // Keep at least one year on the chart
+                    return;
+                }
+                this.compareYears.sort((a, b) => a - b);
+                this.loadCompare();
+            });
 
-                ctx.fillText(label, x, height - padding.bottom + 10);
-            }
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${year}`));
+            container.appendChild(label);
         });
+    }
 
-        // 4. Draw Candles
-        // If many bars, thinner. If zoomed in, thicker.
-        const gap = Math.max(1, barWidth * 0.2);
-        const candleWidth = Math.max(1, barWidth - gap);
+    async loadCompare() {
+        const stationId = this.stationId;
+        const years = this.compareYears.slice();
 
-        let prevMid = 0;
+        this.showLoading(true);
+        try {
+            const results = await Promise.all(years.map(y => this.dataManager.fetchData(stationId, y)));
+            if (!this.isComparing || stationId !== this.stationId) return;
 
-        viewData.forEach((day, i) => {
-            const [dateStr, tMin, tMax] = day;
-            const tMid = (tMin + tMax) / 2;
+            const series = results.map((data, i) => {
+                const colorIndex = this.availableYears.indexOf(years[i]);
+                return {
+                    year: years[i],
+                    label: String(years[i]),
+                    color: this.chart.getSeriesColor(colorIndex),
+                    days: data.days
+                };
+            });
+            this.chart.setCompareData(series);
+            this.scheduleUrlUpdate();
+            this.showError(null);
+        } catch (e) {
+            this.showError(t(this.locale, 'error.compare'));
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            const cx = padding.left + (i * barWidth) + (barWidth / 2);
+    getStationName(station) {
+        // Registry entry -> '서울 (Seoul)' in Korean, 'Seoul' in English
+        return this.locale.language === 'ko' ? `${station.name_ko} (${station.name_en})` : station.name_en;
+    }
 
-            const yMin = getY(tMin);
-            const yMax = getY(tMax);
+    getStations() {
+        // Registry stations with display label and a stable per-station colour
+        return this.stations.map((station, i) => ({
+            id: station.id,
+            label: this.getStationName(station),
+            color: this.chart.getSeriesColor(i)
+        }));
+    }
 
-            // Color
-            let color = '#d63384';
-            if (i > 0 || start > 0) {
-                // We need previous day data from the original array for accurate trend color at edges
-                // Simple approx: use visible prevMid logic
-                if (tMid < prevMid) color = '#1f78b4';
-                else color = '#e31a1c';
-            }
-            prevMid = tMid;
+    renderStationChoices() {
+        const container = this.ui.compareStations;
+        if (!container) return;
+        container.innerHTML = '';
 
-            // Wick
-            ctx.strokeStyle = color;
-            ctx.lineWidth = Math.min(2, candleWidth / 3);
-            ctx.beginPath();
-            ctx.moveTo(cx, yMin);
-            ctx.lineTo(cx, yMax);
-            ctx.stroke();
+        this.getStations().forEach(station => {
+            if (station.id === this.stationId) return;
 
-            // Body (Range) - Actually our style IS a wick-only candle (Line). 
-            // Let's make it a bit thicker if zoomed in
-            if (candleWidth > 4) {
-                ctx.lineWidth = candleWidth;
-                ctx.beginPath();
-                ctx.moveTo(cx, yMin);
-                ctx.lineTo(cx, yMax);
-                ctx.stroke();
-            }
+            const label = document.createElement('label');
+            label.className = 'compare-year';
+            label.style.borderColor = station.color;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = station.id;
+            checkbox.checked = this.extraStations.includes(station.id);
+            checkbox.disabled = this.isComparing;
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.extraStations.push(station.id);
+                } else {
+                    this.extraStations = this.extraStations.filter(id => id !== station.id);
+                }
+                this.updateStationOverlays();
+                this.scheduleUrlUpdate();
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${station.label}`));
+            container.appendChild(label);
         });
+    }
 
-        // Store scale info for interaction
-        this.scaleInfo = { padding, barWidth, viewData, start };
+    updateStationOverlays() {
+        const stations = this.getStations();
+        const primary = stations.find(s => s.id === this.stationId);
+        const overlays = stations.filter(s => this.extraStations.includes(s.id));
 
-        // Draw Selection Highlight
-        if (this.selectedIndex !== undefined && this.selectedIndex !== null) {
-            // Check if selected index is visible
-            if (this.selectedIndex >= start && this.selectedIndex < end) {
-                const visibleIndex = this.selectedIndex - start;
-                const hx = padding.left + (visibleIndex * barWidth) + (barWidth / 2);
+        this.chart.setStationOverlays(primary, overlays);
+        this.loadOverlayData();
+    }
 
-                // Draw vertical line
-                ctx.beginPath();
-                ctx.strokeStyle = '#333';
-                ctx.lineWidth = 1;
-                ctx.setLineDash([5, 5]);
-                ctx.moveTo(hx, padding.top);
-                ctx.lineTo(hx, height - padding.bottom);
-                ctx.stroke();
-                ctx.setLineDash([]);
+    async loadOverlayData() {
+        // Fetch every compared station for every year on the timeline (through the same cache)
+        const years = this.chart.getLoadedYears();
+        const requests = [];
 
-                // Draw circle highlights on min/max
-                const day = days[this.selectedIndex];
-                const yMin = getY(day[1]);
-                const yMax = getY(day[2]);
+        this.extraStations.forEach(id => {
+            years.forEach(year => {
+                const key = this.dataManager.getKey(id, year);
+                if (this.overlayLoaded.has(key)) return;
+                this.overlayLoaded.add(key);
 
-                ctx.fillStyle = '#fff';
-                ctx.strokeStyle = '#333';
-                ctx.lineWidth = 2;
+                requests.push(this.dataManager.fetchData(id, year)
+                    .then(data => this.chart.addStationData(id, data))
+                    .catch(() => {
+                        this.overlayLoaded.delete(key); // Allow a retry on the next load
+                        console.warn(`No data for station ${id} in ${year}`);
+                    }));
+            });
+        });
 
-                // Min highlight
-                ctx.beginPath();
-                ctx.arc(hx, yMin, 4, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.stroke();
+        await Promise.all(requests);
+    }
 
-                // Max highlight
-                ctx.beginPath();
-                ctx.arc(hx, yMax, 4, 0, Math.PI * 2);
-                ctx.fill();
-                ctx.stroke();
-            }
-        }
+    getStationLabel(id) {
+        const station = this.getStations().find(s => s.id === id);
+        return station ? station.label : id;
     }
 
-    handleClick(e) {
-        if (this.isDragging) return;
-        if (!this.scaleInfo) return;
+    // --- Language, Units & Theme ---
 
-        const rect = this.canvas.getBoundingClientRect();
-        const mouseX = e.clientX - rect.left;
+    loadPreferences() {
+        // Saved choice, else Korean for Korean browsers and English for everyone else;
+        // °C and the device's theme by default
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY)) || {};
+        } catch (e) {
+            saved = {}; // Storage blocked or unreadable
+        }
+        const browserLanguage = (navigator.language || 'ko').toLowerCase().startsWith('ko') ? 'ko' : 'en';
+        this.locale.language = LANGUAGES.includes(saved.language) ? saved.language : browserLanguage;
+        this.locale.unit = TEMPERATURE_UNITS.includes(saved.unit) ? saved.unit : 'celsius';
+        this.appearance.choice = THEME_CHOICES.includes(saved.theme) ? saved.theme : 'auto';
+    }
 
-        if (mouseX < this.scaleInfo.padding.left) return;
+    setPreferences(changes) {
+        const { theme, ...localeChanges } = changes;
+        Object.assign(this.locale, localeChanges);
+        if (theme) this.appearance.choice = theme;
+        try {
+            localStorage.setItem(PREFERENCES_KEY, JSON.stringify({ ...this.locale, theme: this.appearance.choice }));
+        } catch (e) {
+            // Applied for this visit only
+        }
+        this.applyPreferences();
+    }
 
-        const visibleIndex = Math.floor((mouseX - this.scaleInfo.padding.left) / this.scaleInfo.barWidth);
+    updateAttribution() {
+        // Footer credit for the sources of the station on screen
+        const text = formatAttribution(this.locale, getDataSources(this.meta));
+        this.root.querySelectorAll('[data-i18n="export.attribution"]').forEach(el => {
+            el.textContent = text;
+        });
+    }
 
-        // Convert visible index to actual data index
-        const actualIndex = this.scaleInfo.start + visibleIndex;
+    applyPreferences() {
+        // Rewrites every text on the page in the current language and unit, and recolours it
+        this.appearance.theme = resolveTheme(this.appearance.choice);
+        if (this.isPage) {
+            applyThemeVariables(document.documentElement, this.appearance.theme);
+            document.documentElement.lang = this.locale.language;
+            document.title = t(this.locale, 'app.title');
+        } else {
+            applyThemeVariables(this.root, this.appearance.theme);
+            this.root.lang = this.locale.language;
+        }
+        applyMessages(this.root, this.locale, {
+            tropicalNight: formatTemp(this.locale, STAT_THRESHOLDS.tropicalNight, 0),
+            heatwave: formatTemp(this.locale, STAT_THRESHOLDS.heatwave, 0),
+            freezing: formatTemp(this.locale, STAT_THRESHOLDS.freezing, 0)
+        });
+        this.updateAttribution();
+        if (this.ui.languageSelect) this.ui.languageSelect.value = this.locale.language;
+        if (this.ui.unitSelect) this.ui.unitSelect.value = this.locale.unit;
+        if (this.ui.themeSelect) this.ui.themeSelect.value = this.appearance.choice;
+        if (this.ui.rangeMonth) {
+            Array.from(this.ui.rangeMonth.options).filter(option => option.value).forEach(option => {
+                const m = Number(option.value);
+                option.textContent = t(this.locale, 'date.month', { m, month: MONTH_NAMES[m - 1] });
+            });
+        }
 
-        if (this.data && this.data.days[actualIndex]) {
-            this.selectDay(actualIndex);
+        if (this.ui.stationSelect) {
+            Array.from(this.ui.stationSelect.options).forEach(option => {
+                const station = this.stations.find(s => s.id === option.value);
+                if (station) option.textContent = this.getStationName(station);
+            });
         }
-    }
+        this.renderStationChoices();
+        this.updateOfflineUI();
+        if (!this.availableYears) return;
 
-    selectDay(index) {
-        this.selectedIndex = index;
-        const dayData = this.data.days[index];
-        this.updateInfoPanel(dayData);
-        this.draw(); // Redraw to show highlight
+        // Everything drawn from data; series colours come from the palette
+        this.renderCompareYears();
+        if (this.isComparing && this.chart.compare) {
+            this.chart.compare.series.forEach(s => {
+                s.color = this.chart.getSeriesColor(this.availableYears.indexOf(s.year));
+            });
+        }
+        this.updateStationOverlays();
+        if (this.records && this.recordsStation === this.stationId) this.renderRecords(this.records);
+        this.chart.refreshText();
     }
 
-    updateInfoPanel(data) {
-        // data: [dateStr, min, max]
-        const dateEl = document.querySelector('.selection-panel .selected-date');
-        const minValEl = document.querySelector('.selection-panel .temp-min .value');
-        const maxValEl = document.querySelector('.selection-panel .temp-max .value');
+    // --- Records ---
 
-        if (!dateEl || !minValEl || !maxValEl) return;
+    async toggleRecords() {
+        this.showingRecords = !this.showingRecords;
+        this.updateRecordsUI();
+        this.scheduleUrlUpdate();
+        if (this.showingRecords) await this.loadRecords();
+    }
+
+    updateRecordsUI() {
+        if (!this.ui.btnRecords) return;
+        this.ui.btnRecords.setAttribute('aria-expanded', String(this.showingRecords));
+        this.ui.recordsPanel.classList.toggle('hidden', !this.showingRecords);
+    }
 
-        // Date Formatting
-        const [y, m, d] = data[0].split('-');
-        dateEl.textContent = `${y}년 ${m}월 ${d}일`;
+    async loadRecords() {
+        // records.json as written by the generator (generator/records.js); the app does not compute them
+        const stationId = this.stationId;
+        if (!this.ui.recordsPanel || !this.availableYears || this.recordsStation === stationId) return;
+        this.recordsStation = stationId;
+        this.records = null;
+        this.showRecordsStatus(t(this.locale, 'records.loading'));
 
-        minValEl.textContent = `${data[1]}°C`;
-        maxValEl.textContent = `${data[2]}°C`;
+        try {
+            const records = await this.dataManager.fetchRecords(stationId);
+            if (!records) throw new Error('Records not found');
+            if (stationId !== this.stationId) return;
+            this.records = records;
+            this.renderRecords(records);
+        } catch (e) {
+            if (stationId !== this.stationId) return;
+            this.recordsStation = null; // Try again when the list is opened next time
+            this.showRecordsStatus(t(this.locale, 'records.failed'));
+        }
     }
-}
 
-// --- App Controller ---
-class WeatherApp {
-    constructor() {
-        this.currentYear = 2025;
-        this.stationId = '108'; // Default: Seoul
+    showRecordsStatus(message) {
+        this.ui.recordsPanel.querySelector('.records-note').textContent = message;
+        this.ui.recordsPanel.querySelector('.records-lists').innerHTML = '';
+    }
 
-        this.dataManager = new DataManager();
-        this.chart = new ChartRenderer('weather-chart');
+    renderRecords(records) {
+        // One list per record kind; every entry is a button that shows its day (or streak) on the chart
+        const years = records.years;
+        this.showRecordsStatus(t(this.locale, 'records.source', {
+            station: this.getStationLabel(this.stationId),
+            first: years[0],
+            last: years[years.length - 1]
+        }));
+        const container = this.ui.recordsPanel.querySelector('.records-lists');
 
-        this.ui = {
-            stationSelect: document.getElementById('station-select'),
-            yearDisplay: document.getElementById('current-year-display'),
-            btnPrev: document.querySelector('button[data-action="prev"]'),
-            btnNext: document.querySelector('button[data-action="next"]'),
-            loader: document.getElementById('loading-indicator'),
-            error: document.getElementById('error-message')
+        const entry = (text, from, to = from) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.from = from;
+            button.dataset.to = to;
+            button.textContent = text;
+            return button;
+        };
+        const addGroup = (title, content) => {
+            const group = document.createElement('div');
+            group.className = 'records-group';
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            group.append(heading, content);
+            container.appendChild(group);
+        };
+        const addList = (title, items) => {
+            if (items.length === 0) {
+                const empty = document.createElement('p');
+                empty.textContent = t(this.locale, 'records.none');
+                addGroup(title, empty);
+                return;
+            }
+            const list = document.createElement('ol');
+            items.forEach(item => {
+                const li = document.createElement('li');
+                li.appendChild(item);
+                list.appendChild(li);
+            });
+            addGroup(title, list);
         };
 
-        this.init();
-    }
+        addList(t(this.locale, 'records.hottest'), records.hottest.map(([date, , max]) => (
+            entry(`${formatSlotKey(this.locale, date)} · ${t(this.locale, 'value.max', { value: formatTemp(this.locale, max) })}`, date)
+        )));
+        addList(t(this.locale, 'records.coldest'), records.coldest.map(([date, min]) => (
+            entry(`${formatSlotKey(this.locale, date)} · ${t(this.locale, 'value.min', { value: formatTemp(this.locale, min) })}`, date)
+        )));
+        addList(t(this.locale, 'records.widest'), records.widest.map(([date, min, max]) => (
+            entry(`${formatSlotKey(this.locale, date)} · ${formatTempChange(this.locale, max - min)} (${formatTemp(this.locale, min)} ~ ${formatTemp(this.locale, max)})`, date)
+        )));
 
-    async init() {
-        this.bindEvents();
-        await this.loadStation(this.stationId);
-    }
+        // Streak kinds, keyed as in records.json
+        const limits = records.thresholds;
+        ['tropical_night', 'heatwave', 'freezing'].forEach(name => {
+            const title = t(this.locale, `records.${name}`, { value: formatTemp(this.locale, limits[name], 0) });
+            addList(title, (records.streaks[name] || []).map(streak => entry(
+                `${formatSlotKey(this.locale, streak.start)} ~ ${formatSlotKey(this.locale, streak.end)} · ${t(this.locale, 'unit.days', { n: streak.days })}`,
+                streak.start,
+                streak.end
+            )));
+        });
 
-    bindEvents() {
-        this.ui.stationSelect.addEventListener('change', (e) => {
-            this.stationId = e.target.value;
-            this.loadStation(this.stationId);
+        // Frost dates: one row per year
+        const table = document.createElement('table');
+        const head = table.createTHead().insertRow();
+        ['records.year', 'records.lastFrost', 'records.firstFrost'].forEach(key => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = t(this.locale, key);
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        records.frost.forEach(({ year, last_spring: last, first_autumn: first }) => {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = t(this.locale, 'date.year', { y: year });
+            row.appendChild(th);
+            [last, first].forEach(date => {
+                row.insertCell().append(date ? entry(formatSlotKey(this.locale, date.slice(5)), date) : t(this.locale, 'records.noFrost'));
+            });
         });
+        addGroup(t(this.locale, 'records.frost', { value: formatTemp(this.locale, limits.freezing, 0) }), table);
+    }
 
-        this.ui.btnPrev.addEventListener('click', () => this.changeYear(-1));
-        this.ui.btnNext.addEventListener('click', () => this.changeYear(1));
+    async showRecord(from, to) {
+        // A record day, or a streak from..to, on the timeline with its first day selected
+        if (this.isComparing) await this.toggleCompare();
+        if (from === to) await this.jumpToYear(Number(from.slice(0, 4)));
+        else await this.showDateRange(from, to);
+        this.chart.selectDate(from);
+        this.chart.canvas.focus();
+    }
 
-        // Zoom Controls
-        const btnZoomIn = document.getElementById('btn-zoom-in');
-        const btnZoomOut = document.getElementById('btn-zoom-out');
-        const btnReset = document.getElementById('btn-reset');
+    getExportInfo() {
+        // Title, legend and file name stem describing what the chart currently shows
+        const table = this.chart.getExportTable();
+        const first = table.rows.length > 0 ? table.rows[0][0] : '';
+        const last = table.rows.length > 0 ? table.rows[table.rows.length - 1][0] : '';
+        const station = this.getStationLabel(this.stationId);
 
-        if (btnZoomIn) {
-            btnZoomIn.addEventListener('click', () => {
-                console.log("Zoom In Clicked");
-                this.chart.zoom(0.25);
-            });
+        if (this.chart.mode === 'compare') {
+            return {
+                table,
+                title: `${t(this.locale, 'export.compareTitle', { station, years: this.compareYears.join(', ') })} · ${first} ~ ${last}`,
+                legend: this.chart.compare.series.map(s => ({ label: s.label, color: s.color })),
+                fileName: `weather_${this.stationId}_${this.compareYears.join('-')}_${first}_${last}`
+            };
         }
-        if (btnZoomOut) {
-            btnZoomOut.addEventListener('click', () => {
-                console.log("Zoom Out Clicked");
-                this.chart.zoom(-0.25);
-            });
-        }
-        if (btnReset) {
-            btnReset.addEventListener('click', () => {
-                console.log("Reset Clicked");
-                this.chart.resetZoom();
+
+        const stationSeries = this.chart.getStationSeries();
+        const legend = stationSeries
+            ? stationSeries.map(s => ({ label: s.label, color: s.color }))
+            : this.chart.getLegend()
+                .concat(this.chart.normals && !this.chart.isHeatmap() ? [{ label: t(this.locale, 'legend.normals'), color: this.chart.getPalette().normals }] : []);
+        const stations = [this.stationId].concat(this.extraStations).join('-');
+
+        return {
+            table,
+            title: `${stationSeries ? stationSeries.map(s => s.label).join(' · ') : station} · ${first} ~ ${last}`,
+            legend,
+            fileName: `weather_${stations}_${first}_${last}`
+        };
+    }
+
+    exportView(format) {
+        if (!this.chart.data) return;
+        const info = this.getExportInfo();
+
+        // Temperatures in the unit on screen
+        const table = convertTableTemps(info.table, this.locale);
+
+        if (format === 'csv') {
+            downloadBlob(new Blob([tableToCsv(table)], { type: 'text/csv;charset=utf-8' }), `${info.fileName}.csv`);
+        } else if (format === 'json') {
+            const payload = {
+                station: this.stationId,
+                stations: [this.stationId].concat(this.extraStations),
+                mode: this.chart.mode,
+                unit: this.locale.unit,
+                title: info.title,
+                sources: getDataSources(this.meta),
+                columns: table.columns,
+                rows: table.rows
+            };
+            downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `${info.fileName}.json`);
+        } else if (format === 'png') {
+            const sizeSelect = this.root.querySelector('#export-size');
+            const canvas = renderExportImage(this.chart, {
+                title: info.title,
+                legend: info.legend,
+                size: sizeSelect ? sizeSelect.value : '1200x600',
+                sources: getDataSources(this.meta)
             });
+            canvas.toBlob(blob => {
+                if (blob) downloadBlob(blob, `${info.fileName}.png`);
+                else this.showError(t(this.locale, 'error.image'));
+            }, 'image/png');
         }
     }
 
-    async loadStation(id) {
-        this.ui.stationSelect.disabled = true;
+    getViewState() {
+        // Everything a link needs to reopen this view (see buildViewParams)
+        const view = this.chart.getViewState();
+        const explicitRange = view && !view.isFull;
+        return {
+            station: this.stationId,
+            year: this.currentYear,
+            from: explicitRange ? view.from : null,
+            to: explicitRange ? view.to : null,
+            day: view ? view.day : null,
+            stations: this.extraStations.slice(),
+            compare: this.isComparing ? this.compareYears.slice() : null,
+            panel: this.chart.secondaryVariable,
+            view: this.chart.renderMode,
+            color: this.chart.colorRule,
+            indicators: Object.keys(INDICATORS).filter(key => this.chart.indicators.has(key)),
+            records: this.showingRecords
+        };
+    }
+
+    async restoreView(state) {
+        // Applies a parsed URL state: on startup and on back/forward
+        this.isRestoring = true;
+        clearTimeout(this.urlTimer);
         try {
-            // Load Meta
-            const meta = await this.dataManager.fetchMeta(id);
-            if (!meta) throw new Error("Station Meta not found");
+            const known = (id) => this.stations.some(s => s.id === id);
+            const previousStation = this.stationId;
+            if (state.station && known(state.station)) this.stationId = state.station;
+            const stationChanged = !this.availableYears || this.stationId !== previousStation;
 
-            this.availableYears = meta.available_years.sort((a, b) => a - b);
+            if (this.ui.stationSelect) this.ui.stationSelect.value = this.stationId;
+            this.extraStations = state.stations.filter(id => id !== this.stationId && known(id));
+            this.renderStationChoices();
 
-            // If current year not in available, pick closest or last
-            if (!this.availableYears.includes(this.currentYear)) {
-                this.currentYear = this.availableYears[this.availableYears.length - 1];
+            if (this.ui.secondarySelect) this.ui.secondarySelect.value = state.panel || '';
+            this.chart.setSecondaryVariable(state.panel);
+            if (this.ui.renderModeSelect) this.ui.renderModeSelect.value = state.view;
+            this.chart.setRenderMode(state.view);
+            if (this.ui.colorRuleSelect) this.ui.colorRuleSelect.value = state.color;
+            this.chart.setColorRule(state.color);
+            this.ui.indicatorInputs.forEach(input => {
+                input.checked = state.indicators.includes(input.value);
+            });
+            this.chart.setIndicators(state.indicators);
+            this.showingRecords = state.records;
+            this.updateRecordsUI();
+
+            // A timeline range starts in the year of its first day and may run into later years
+            const isCompare = state.compare !== null;
+            const isRange = Boolean(state.from && state.to);
+            const isDateRange = !isCompare && isRange && state.from.length === 10 && state.to.length === 10;
+            const firstYear = isDateRange ? Number(state.from.slice(0, 4)) : state.year;
+            const lastYear = isDateRange ? Number(state.to.slice(0, 4)) : firstYear;
+            if (firstYear !== null) this.currentYear = firstYear;
+
+            const compareChanged = isCompare !== this.isComparing ||
+                (isCompare && state.compare.join() !== this.compareYears.join());
+            this.isComparing = isCompare;
+            if (isCompare) this.compareYears = state.compare.slice().sort((a, b) => a - b);
+            this.updateCompareUI();
+
+            if (stationChanged) {
+                await this.loadStation(this.stationId); // Also loads overlays and compare years
+            } else {
+                if (!this.availableYears.includes(this.currentYear)) {
+                    this.currentYear = this.availableYears[this.availableYears.length - 1];
+                }
+                await this.loadYearRange(this.currentYear, lastYear);
+                this.updateStationOverlays();
+
+                if (!isCompare) {
+                    this.chart.clearCompareData();
+                } else if (compareChanged) {
+                    this.compareYears = this.compareYears.filter(y => this.availableYears.includes(y));
+                    if (this.compareYears.length === 0) this.compareYears = [this.currentYear];
+                    this.renderCompareYears();
+                    await this.loadCompare();
+                }
             }
 
-            await this.loadYear(this.currentYear);
-        } catch (e) {
-            this.showError(e.message);
+            if (isDateRange) await this.loadYearRange(this.currentYear, lastYear);
+            if (this.showingRecords) this.loadRecords();
+
+            if (!(isRange && this.chart.showDates(state.from, state.to))) {
+                if (this.isComparing) this.chart.showRange(0, CALENDAR_DAYS);
+                else this.chart.showYear(this.currentYear);
+            }
+            if (state.day) this.chart.selectDate(state.day);
+            else this.chart.clearSelection();
+            this.syncYearFromChart();
         } finally {
-            this.ui.stationSelect.disabled = false;
+            this.isRestoring = false;
         }
     }
 
-    async changeYear(offset) {
-        if (!this.availableYears) return;
+    scheduleUrlUpdate() {
+        // Pans and zooms arrive in bursts; only the view the user settles on becomes a history entry
+        if (!this.urlReady || this.isRestoring) return;
+        clearTimeout(this.urlTimer);
+        this.urlTimer = setTimeout(() => {
+            this.syncUrl(false);
+            this.announceRange();
+        }, URL_UPDATE_DELAY);
+    }
 
-        const currentIndex = this.availableYears.indexOf(this.currentYear);
-        let newIndex = currentIndex + offset;
+    syncUrl(replace) {
+        if (this.isRestoring || !this.syncsUrl) return;
+        const search = buildViewParams(this.getViewState());
+        if (search === window.location.search) return;
 
-        if (newIndex >= 0 && newIndex < this.availableYears.length) {
-            this.currentYear = this.availableYears[newIndex];
-            await this.loadYear(this.currentYear);
-        }
+        const url = `${window.location.pathname}${search}${window.location.hash}`;
+        if (replace) history.replaceState(null, '', url);
+        else history.pushState(null, '', url);
     }
 
-    async loadYear(year) {
-        this.showLoading(true);
-        this.updateYearUI();
-
-        try {
-            const data = await this.dataManager.fetchData(this.stationId, year);
-            this.chart.setData(data);
-            this.showError(null); // Clear errors
-        } catch (e) {
-            this.showError(`Failed to load data for ${year}`);
-        } finally {
-            this.showLoading(false);
+    syncYearFromChart() {
+        this.updateRangeInputs();
+        const year = this.chart.getCenterYear();
+        if (year !== null && year !== this.currentYear) {
+            this.currentYear = year;
+            this.updateYearUI();
         }
     }
 
     updateYearUI() {
-        this.ui.yearDisplay.textContent = this.currentYear;
+        if (this.ui.yearDisplay) this.ui.yearDisplay.textContent = this.currentYear;
         // Disable buttons if at specific bounds? 
         // For now keep them enabled, changeYear checks bounds.
     }
 
+    updateOfflineUI() {
+        if (!this.ui.offline) return;
+        const offline = !navigator.onLine || this.isShowingCached;
+        this.ui.offline.textContent = t(this.locale, this.isShowingCached ? 'offline.cached' : 'offline.disconnected');
+        this.ui.offline.classList.toggle('hidden', !offline);
+    }
+
     showLoading(isLoading) {
+        if (!this.ui.loader) return;
         if (isLoading) this.ui.loader.classList.remove('hidden');
         else this.ui.loader.classList.add('hidden');
     }
 
     showError(msg) {
+        if (msg) this.emit('error', { message: msg });
+        if (!this.ui.error) return;
         if (msg) {
             this.ui.error.textContent = msg;
             this.ui.error.classList.remove('hidden');
@@ -653,8 +4470,24 @@ class WeatherApp {
             this.ui.error.classList.add('hidden');
         }
     }
-}
 
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new WeatherApp();
-});
+    setTheme(theme) {
+        // For embeds: switches the theme for this visit without touching the saved preference
+        if (!THEME_CHOICES.includes(theme)) return;
+        this.appearance.choice = theme;
+        this.applyPreferences();
+    }
+
+    async showView(changes) {
+        // Moves to the current view with some of its link state replaced (see getViewState)
+        await this.ready;
+        await this.restoreView({ ...this.getViewState(), ...changes });
+        this.scheduleUrlUpdate();
+    }
+
+    destroy() {
+        clearTimeout(this.urlTimer);
+        this.listeners.abort();
+        this.chart.destroy();
+    }
+}
@@ -0,0 +1,115 @@
+// Embeddable chart. The page (index.html) runs `new WeatherApp()` from app.js on the whole
+// document; other pages import createWeatherChart from this module to put the chart alone in
+// one of their elements:
+//
+//   import { createWeatherChart } from 'https://…/embed.js';
+//   const chart = createWeatherChart(el, { station: '159', range: { from: '2024-07-01', to: '2024-08-31' } });
+//   chart.on('select', day => …);
+//
+// Options: station, year, range { from, to } ('YYYY-MM-DD'), theme (one of THEME_CHOICES in app.js)
+// and dataBaseUrl (default: the data folder next to this file). Events: 'select' (getSelection),
+// 'rangechange' (getRange) and 'error' ({ message }). Each chart starts from the saved language,
+// unit and theme, and keeps its own from then on. embed.html wraps this for <iframe> use.
+
+import { WeatherApp, parseViewParams, buildViewParams } from './app.js';
+
+const EMBED_MARKUP = `
+    <div class="selection-panel" role="region" aria-live="polite">
+        <div class="selected-date" data-i18n="date.none"></div>
+        <div class="selected-temps">
+            <span class="temp-min"><span class="label" data-i18n="temp.min"></span> <span class="value">-</span></span>
+            <span class="range-bar"></span>
+            <span class="temp-max"><span class="label" data-i18n="temp.max"></span> <span class="value">-</span></span>
+        </div>
+        <div class="extras hidden"></div>
+        <div class="anomaly hidden"></div>
+        <ul class="compare-values hidden" data-i18n-aria-label="selection.yearValues"></ul>
+    </div>
+    <div class="chart-container">
+        <canvas tabindex="0" role="img" data-i18n-aria-label="chart.label"></canvas>
+        <div class="loading-indicator hidden" role="status" data-i18n="status.loading"></div>
+        <div class="error-message hidden" role="alert"></div>
+        <div class="tooltip hidden" aria-hidden="true"></div>
+    </div>
+    <p class="chart-summary visually-hidden" aria-live="polite"></p>
+    <table class="chart-table visually-hidden">
+        <caption data-i18n="table.caption"></caption>
+        <thead>
+            <tr></tr>
+        </thead>
+        <tbody></tbody>
+    </table>
+    <div class="embed-footer">
+        <span data-i18n="export.attribution"></span>
+        <a class="embed-open" target="_blank" rel="noopener" data-i18n="embed.open"></a>
+    </div>`;
+
+let embedCount = 0; // For ids that tie each canvas to its summary
+
+function ensureEmbedStyles() {
+    // embed.css, once per page, from next to this module
+    if (document.querySelector('link[data-weather-chart]')) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = new URL('embed.css', import.meta.url).href;
+    link.dataset.weatherChart = '';
+    document.head.appendChild(link);
+}
+
+export function createWeatherChart(el, options = {}) {
+    ensureEmbedStyles();
+    const root = document.createElement('div');
+    root.className = 'weather-chart-embed';
+    root.innerHTML = EMBED_MARKUP;
+    const summaryId = `weather-chart-summary-${++embedCount}`;
+    root.querySelector('.chart-summary').id = summaryId;
+    root.querySelector('canvas').setAttribute('aria-describedby', summaryId);
+    el.appendChild(root);
+
+    // The options become the same state a link would give
+    const params = new URLSearchParams();
+    if (options.station) params.set('station', options.station);
+    if (options.year) params.set('year', options.year);
+    if (options.range) {
+        params.set('from', options.range.from);
+        params.set('to', options.range.to);
+    }
+
+    const app = new WeatherApp(root, {
+        state: parseViewParams(params.toString()),
+        dataBaseUrl: options.dataBaseUrl || new URL('data', import.meta.url).href,
+        syncUrl: false,
+        theme: options.theme
+    });
+
+    // "Open full chart" links to the same view on the full page
+    const link = root.querySelector('.embed-open');
+    const updateLink = () => {
+        link.href = new URL(`./${buildViewParams(app.getViewState())}`, import.meta.url).href;
+    };
+    app.ready.then(updateLink, () => {});
+    ['select', 'rangechange'].forEach(type => app.events.addEventListener(type, updateLink));
+
+    return {
+        ready: app.ready,
+        on(type, handler) {
+            // Returns a function that removes the handler
+            const listener = (e) => handler(e.detail);
+            app.events.addEventListener(type, listener);
+            return () => app.events.removeEventListener(type, listener);
+        },
+        getSelection: () => app.getSelection(),
+        getRange: () => app.getRange(),
+        setStation: (station) => app.showView({ station, day: null }),
+        setYear: (year) => app.showView({ year, from: null, to: null, day: null, compare: null }),
+        async setRange(from, to) {
+            await app.ready;
+            await app.showDateRange(from, to);
+        },
+        setTheme: (theme) => app.setTheme(theme),
+        destroy() {
+            app.destroy();
+            root.remove();
+        }
+    };
+}
@@ -0,0 +1,90 @@
+// Station bundle: every stored year of a station in one columnar file.
+// Each year is { year, start, columns, values }: values[c][i] is column c on the day `i` days
+// after `start`, so dates are implicit and missing days are nulls. The app fetches bundle.json
+// once per station when meta.json lists it and falls back to the {year}.json files otherwise.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readJson, readMeta, writeMeta, expandDays, addDays, DAY_COLUMNS, COLUMN_UNITS, SCHEMA_VERSION } from './normalize.js';
+
+export const BUNDLE_FILE = 'bundle.json';
+export const BUNDLE_FORMAT = 'columnar';
+
+export function toColumnar(file) {
+    // Year file (any schema) -> { year, start, columns, values }
+    const days = expandDays(file);
+    if (days.length === 0) return { year: file.year, start: null, columns: [], values: [] };
+
+    const used = DAY_COLUMNS
+        .map((column, i) => i)
+        .filter(i => i > 0 && (i < 3 || days.some(day => day[i] !== null)));
+    const start = days[0][0];
+    const byDate = new Map(days.map(day => [day[0], day]));
+    const length = Math.round((Date.parse(days[days.length - 1][0]) - Date.parse(start)) / 86400000) + 1;
+
+    const values = used.map(() => []);
+    for (let i = 0, date = start; i < length; i++, date = addDays(date, 1)) {
+        const day = byDate.get(date);
+        used.forEach((index, c) => values[c].push(day ? day[index] : null));
+    }
+
+    return { year: file.year, start, columns: used.map(i => DAY_COLUMNS[i]), values };
+}
+
+export function fromColumnar(block) {
+    // { year, start, columns, values } -> full-width rows in DAY_COLUMNS order, gaps left out
+    const indices = DAY_COLUMNS.map(column => block.columns.indexOf(column));
+    const length = block.values.length > 0 ? block.values[0].length : 0;
+    const days = [];
+    for (let i = 0, date = block.start; i < length; i++, date = addDays(date, 1)) {
+        const row = indices.map((c, j) => (j === 0 ? date : c === -1 ? null : block.values[c][i]));
+        if (row[1] !== null || row[2] !== null) days.push(row);
+    }
+    return days;
+}
+
+export function buildBundle(stationId, yearFiles) {
+    const years = yearFiles.slice().sort((a, b) => a.year - b.year).map(toColumnar);
+    const columns = DAY_COLUMNS.filter(column => years.some(block => block.columns.includes(column)));
+
+    return {
+        station: stationId,
+        format: BUNDLE_FORMAT,
+        schema: SCHEMA_VERSION,
+        unit: 'celsius',
+        units: Object.fromEntries(columns.map(column => [column, COLUMN_UNITS[column]])),
+        years
+    };
+}
+
+function formatKB(bytes) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+export async function writeBundle(stationId, stationDir, years) {
+    // Writes bundle.json, lists it in meta.json and reports what it saves over the year files
+    const yearFiles = [];
+    let yearBytes = 0;
+    for (const year of years) {
+        const filePath = path.join(stationDir, `${year}.json`);
+        try {
+            yearFiles.push(await readJson(filePath));
+            yearBytes += (await fs.stat(filePath)).size;
+        } catch (err) {
+            console.error(`  Skipping ${year} for the bundle: ${err.message}`);
+        }
+    }
+    if (yearFiles.length === 0) return null;
+
+    const text = JSON.stringify(buildBundle(stationId, yearFiles), null, 0);
+    await fs.writeFile(path.join(stationDir, BUNDLE_FILE), text);
+
+    const meta = await readMeta(stationDir);
+    if (meta && meta.bundle !== BUNDLE_FILE) await writeMeta(stationDir, { ...meta, bundle: BUNDLE_FILE });
+
+    const bundleBytes = Buffer.byteLength(text);
+    const saved = Math.round((1 - bundleBytes / yearBytes) * 100);
+    console.log(`  Saved ${BUNDLE_FILE} (${yearFiles.length} years): ${formatKB(bundleBytes)} in 1 request`
+        + ` instead of ${formatKB(yearBytes)} in ${yearFiles.length} (${saved}% smaller)`);
+    return { years: yearFiles.length, yearBytes, bundleBytes };
+}
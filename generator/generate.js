@@ -1,21 +1,29 @@
-import fs from 'fs/promises';
 import path from 'path';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { getSource, SOURCES } from './sources/index.js';
+import {
+    ensureDir, normalizeRecords, groupByYear, buildYearFile, mergeDays, addDays,
+    readYearDays, writeYearFile, writeMeta, readMeta, computeChecksum
+} from './normalize.js';
+import { writeNormals } from './normals.js';
+import { writeRecords } from './records.js';
+import { writeBundle } from './bundle.js';
+import { loadRegistry, saveRegistry, createStation, formatStationTable } from './stations.js';
+import { validateDataDir } from './validate.js';
 
 // Configuration
-const STATIONS = {
-    '108': { name: 'Seoul', lat: 37.5665, lon: 126.9780 },
-    '112': { name: 'Incheon', lat: 37.4563, lon: 126.7052 },
-    '119': { name: 'Suwon', lat: 37.2636, lon: 127.0286 },
-    '159': { name: 'Busan', lat: 35.1796, lon: 129.0756 }
-};
-
-const START_YEAR = 2020; // Start small for testing
+// Stations live in data/stations.json (see the add-station/remove-station/list commands)
+const START_YEAR = 2020; // Default year range for new stations
 const END_YEAR = 2025;   // Up to current year
 const OUTPUT_DIR = '../data';
+const RETRY_ATTEMPTS = 4;      // Tries per request before giving up on a year
+const RETRY_BASE_DELAY = 1000; // ms; doubles after every failure (1s, 2s, 4s)
 
 // Helper to resolve paths
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, OUTPUT_DIR);
+const REGISTRY_PATH = path.join(DATA_DIR, 'stations.json');
 
 async function fetchInternal(url) {
     console.log(`Fetching: ${url}`);
@@ -24,82 +32,127 @@ async function fetchInternal(url) {
     return res.json();
 }
 
-async function ensureDir(dirPath) {
-    try {
-        await fs.mkdir(dirPath, { recursive: true });
-    } catch (e) {
-        if (e.code !== 'EEXIST') throw e;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function withRetry(task, label) {
+    // Exponential backoff; rethrows the last error
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await task();
+        } catch (err) {
+            if (attempt >= RETRY_ATTEMPTS) throw err;
+            const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+            console.warn(`  ${label} failed (${err.message}), retrying in ${delay / 1000}s...`);
+            await sleep(delay);
+        }
     }
 }
 
-async function processStation(stationId, stationInfo) {
-    console.log(`Processing Station: ${stationId} (${stationInfo.name})`);
+function getStationDir(stationId, dataDir = DATA_DIR) {
+    return path.join(dataDir, stationId);
+}
 
-    // Create station directory
-    const stationDir = path.join(__dirname, OUTPUT_DIR, stationId);
-    await ensureDir(stationDir);
+function todayInSeoul() {
+    // 'YYYY-MM-DD'; the archive has nothing after today
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Seoul' }).format(new Date());
+}
+
+async function getFetchRanges(station, stationDir, incremental) {
+    // [{ year, startDate, endDate }]; incremental runs start the day after the last stored date
+    const today = todayInSeoul();
+    const startYear = station.start_year || START_YEAR;
+    const endYear = station.end_year || END_YEAR;
+    const ranges = [];
+
+    for (let year = startYear; year <= endYear; year++) {
+        const endDate = `${year}-12-31` < today ? `${year}-12-31` : today;
+        let startDate = `${year}-01-01`;
+
+        if (incremental) {
+            const stored = await readYearDays(stationDir, year);
+            if (stored.length > 0) startDate = addDays(stored[stored.length - 1][0], 1);
+        }
+        if (startDate <= endDate) ranges.push({ year, startDate, endDate });
+    }
+    return ranges;
+}
+
+async function saveStationMeta(station, stationDir, writtenYears, source = null) {
+    // Adds years to meta.json but never removes one: a failed fetch must not hide stored data.
+    // Sources are added the same way, so a station filled from two sources credits both
+    const previous = await readMeta(stationDir);
+    const years = new Set(previous ? previous.available_years : []);
+    writtenYears.forEach(year => years.add(year));
+
+    const sources = previous && Array.isArray(previous.sources) ? previous.sources.slice() : [];
+    if (source && source.attribution && !sources.some(s => s.name === source.attribution.name)) {
+        sources.push(source.attribution);
+    }
+
+    const availableYears = Array.from(years).sort((a, b) => a - b);
+    const lastDays = availableYears.length > 0
+        ? await readYearDays(stationDir, availableYears[availableYears.length - 1])
+        : [];
+    const checksum = await computeChecksum(stationDir, availableYears);
+    // last_updated moves only when the stored days do, so `meta` rebuilds keep it
+    const changed = writtenYears.length > 0 || !previous || previous.checksum !== checksum;
 
-    // 1. Generate Meta JSON
     const meta = {
-        station_id: stationId,
-        name_en: stationInfo.name,
-        available_years: []
+        station_id: station.id,
+        name_en: station.name_en,
+        available_years: availableYears,
+        last_date: lastDays.length > 0 ? lastDays[lastDays.length - 1][0] : null,
+        last_updated: changed ? new Date().toISOString() : previous.last_updated || null,
+        checksum,
+        sources,
+        // Kept until writeBundle rewrites bundle.json for the new years
+        ...(previous && previous.bundle ? { bundle: previous.bundle } : {})
     };
+    await writeMeta(stationDir, meta);
+    return meta;
+}
 
-    // 2. Loop Years
-    for (let year = START_YEAR; year <= END_YEAR; year++) {
-        const startDate = `${year}-01-01`;
-        const endDate = `${year}-12-31`;
-
-        // Open-Meteo API
-        const url = `https://archive-api.open-meteo.com/v1/archive?latitude=${stationInfo.lat}&longitude=${stationInfo.lon}&start_date=${startDate}&end_date=${endDate}&daily=temperature_2m_max,temperature_2m_min&timezone=Asia%2FSeoul`;
+export async function processStation(station, source, { incremental = false, dataDir = DATA_DIR } = {}) {
+    // dataDir: where the station folder goes (the tests write to a temporary folder)
+    const stationId = station.id;
+    const mode = incremental ? 'incremental' : 'full';
+    console.log(`Processing Station: ${stationId} (${station.name_en}) from ${source.name} (${mode})`);
 
-        try {
-            const data = await fetchInternal(url);
+    // Create station directory
+    const stationDir = getStationDir(stationId, dataDir);
+    await ensureDir(stationDir);
 
-            if (!data.daily || !data.daily.time) {
-                console.error(`Invalid data for ${year}`);
-                continue;
-            }
+    const ranges = await getFetchRanges(station, stationDir, incremental);
+    if (ranges.length === 0) console.log('  Already up to date');
 
-            const { time, temperature_2m_min, temperature_2m_max } = data.daily;
+    // Loop Years
+    const writtenYears = [];
+    for (const { year, startDate, endDate } of ranges) {
+        try {
+            const records = await withRetry(
+                () => source.fetchDays(station, { startDate, endDate, fetchJson: fetchInternal }),
+                `${year}`
+            );
 
             // Transform to array format: [Date, Min, Max]
-            const days = [];
-            for (let i = 0; i < time.length; i++) {
-                // Skip if data is null (future dates or missing)
-                if (temperature_2m_min[i] === null || temperature_2m_max[i] === null) continue;
-
-                days.push([
-                    time[i],
-                    temperature_2m_min[i],
-                    temperature_2m_max[i]
-                ]);
-            }
+            const { days: fetched } = normalizeRecords(records);
 
-            if (days.length === 0) {
-                console.warn(`No data found for ${year}`);
+            if (fetched.length === 0) {
+                console.warn(`No new data found for ${year}`);
                 continue;
             }
 
+            // Incremental runs merge into the stored year; full runs replace it
+            const days = incremental ? mergeDays(await readYearDays(stationDir, year), fetched) : fetched;
+
             // Save Year JSON
-            const fileContent = {
-                station: stationId,
-                year: year,
-                unit: "celsius",
-                days: days
-            };
-
-            await fs.writeFile(
-                path.join(stationDir, `${year}.json`),
-                JSON.stringify(fileContent, null, 0) // Minified
-            );
+            await writeYearFile(stationDir, buildYearFile(stationId, year, days));
 
-            meta.available_years.push(year);
-            console.log(`  Saved ${year}.json (${days.length} days)`);
+            writtenYears.push(year);
+            console.log(`  Saved ${year}.json (${fetched.length} new, ${days.length} days)`);
 
             // Polite delay to avoid rate limits
-            await new Promise(r => setTimeout(r, 500));
+            await sleep(500);
 
         } catch (err) {
             console.error(`  Failed to process ${year}: ${err.message}`);
@@ -107,17 +160,184 @@ async function processStation(stationId, stationInfo) {
     }
 
     // Save Meta JSON
-    await fs.writeFile(
-        path.join(stationDir, 'meta.json'),
-        JSON.stringify(meta, null, 2)
-    );
+    const meta = await saveStationMeta(station, stationDir, writtenYears, source);
+
+    // Normals, records and the bundle from every stored year
+    if (writtenYears.length > 0) {
+        await writeNormals(stationId, stationDir, meta.available_years);
+        await writeRecords(stationId, stationDir, meta.available_years);
+        await writeBundle(stationId, stationDir, meta.available_years);
+    }
 }
 
+async function importStation(station, source, options) {
+    // Backfill from a local export: writes every year found in the file and adds it to meta.json
+    const stationId = station.id;
+    console.log(`Importing Station: ${stationId} (${station.name_en}) from ${source.name}`);
+
+    const stationDir = getStationDir(stationId);
+    await ensureDir(stationDir);
+
+    const records = await source.fetchDays(station, options);
+    const { days, skipped } = normalizeRecords(records);
+    if (skipped > 0) console.warn(`  Skipped ${skipped} rows without a valid date and min/max`);
+
+    const writtenYears = [];
+    for (const [year, yearDays] of groupByYear(days)) {
+        const merged = mergeDays(await readYearDays(stationDir, year), yearDays);
+        await writeYearFile(stationDir, buildYearFile(stationId, year, merged));
+        writtenYears.push(year);
+        console.log(`  Saved ${year}.json (${yearDays.length} imported, ${merged.length} days)`);
+    }
+
+    const meta = await saveStationMeta(station, stationDir, writtenYears, source);
+    await writeNormals(stationId, stationDir, meta.available_years);
+    await writeRecords(stationId, stationDir, meta.available_years);
+    await writeBundle(stationId, stationDir, meta.available_years);
+}
+
+async function rebuildStationFiles(stations, label, write) {
+    // `node generate.js meta|normals|records|bundle`: recompute meta.json, normals.json, records.json
+    // or bundle.json from the files already on disk
+    for (const { id } of stations) {
+        const stationDir = getStationDir(id);
+        const meta = await readMeta(stationDir);
+        if (!meta) continue;
+        console.log(`${label} for Station: ${id}`);
+        await write(id, stationDir, meta.available_years);
+    }
+}
+
+async function validateData(strict) {
+    const issues = await validateDataDir(DATA_DIR);
+    issues.forEach(({ level, file, message }) => {
+        const log = level === 'error' ? console.error : console.warn;
+        log(`${level === 'error' ? 'ERROR' : 'WARN '} ${file}: ${message}`);
+    });
+
+    const errorCount = issues.filter(i => i.level === 'error').length;
+    const warningCount = issues.length - errorCount;
+    console.log(`Validation finished: ${errorCount} error(s), ${warningCount} warning(s).`);
+    if (errorCount > 0 || (strict && warningCount > 0)) process.exitCode = 1;
+}
+
+function findStation(stations, id) {
+    const station = stations.find(s => s.id === id);
+    if (!station) throw new Error(`Unknown station "${id}" (see \`node generate.js list\`)`);
+    return station;
+}
+
+const USAGE = `Usage:
+  node generate.js [fetch] [--source open-meteo] [--station <id>] [--incremental]
+  node generate.js import --source <kma-asos|local-file> --file <path> --station <id>
+                          [--format csv|ndjson] [--unit celsius|fahrenheit]
+  node generate.js meta [--source <name>]
+  node generate.js normals
+  node generate.js records
+  node generate.js bundle
+  node generate.js validate [--strict]
+  node generate.js list
+  node generate.js add-station --id <id> --name-ko <이름> --name-en <name> --lat <lat> --lon <lon>
+                               --elevation <m> [--start-year <year>] [--end-year <year>]
+  node generate.js remove-station --id <id>
+
+Sources: ${Object.keys(SOURCES).join(', ')}`;
+
 async function main() {
-    for (const [id, info] of Object.entries(STATIONS)) {
-        await processStation(id, info);
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            source: { type: 'string' },
+            file: { type: 'string' },
+            station: { type: 'string' },
+            format: { type: 'string' },
+            unit: { type: 'string' },
+            id: { type: 'string' },
+            'name-ko': { type: 'string' },
+            'name-en': { type: 'string' },
+            lat: { type: 'string' },
+            lon: { type: 'string' },
+            elevation: { type: 'string' },
+            'start-year': { type: 'string' },
+            'end-year': { type: 'string' },
+            incremental: { type: 'boolean' },
+            strict: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    const command = positionals[0] || 'fetch';
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const stations = await loadRegistry(REGISTRY_PATH);
+
+    switch (command) {
+        case 'fetch': {
+            const source = getSource(values.source || 'open-meteo');
+            const targets = values.station ? [findStation(stations, values.station)] : stations;
+            for (const station of targets) {
+                await processStation(station, source, { incremental: values.incremental });
+            }
+            console.log("Data generation complete.");
+            break;
+        }
+        case 'import': {
+            if (!values.source || !values.file || !values.station) {
+                throw new Error(`import needs --source, --file and --station\n\n${USAGE}`);
+            }
+            await importStation(findStation(stations, values.station), getSource(values.source), values);
+            console.log("Import complete.");
+            break;
+        }
+        case 'meta': {
+            // --source credits that source for the stored data (e.g. files written before meta.json had sources)
+            const source = values.source ? getSource(values.source) : null;
+            await rebuildStationFiles(stations, 'Meta',
+                (id, stationDir) => saveStationMeta(findStation(stations, id), stationDir, [], source));
+            break;
+        }
+        case 'normals':
+            await rebuildStationFiles(stations, 'Normals', writeNormals);
+            break;
+        case 'records':
+            await rebuildStationFiles(stations, 'Records', writeRecords);
+            break;
+        case 'bundle':
+            await rebuildStationFiles(stations, 'Bundle', writeBundle);
+            break;
+        case 'validate':
+            await validateData(values.strict);
+            break;
+        case 'list':
+            console.log(formatStationTable(stations));
+            break;
+        case 'add-station': {
+            const station = createStation(values, { startYear: START_YEAR, endYear: END_YEAR });
+            if (stations.some(s => s.id === station.id)) {
+                throw new Error(`Station "${station.id}" is already registered`);
+            }
+            await saveRegistry(REGISTRY_PATH, stations.concat(station));
+            console.log(`Added station ${station.id} (${station.name_en}). Fetch it with: node generate.js fetch --station ${station.id}`);
+            break;
+        }
+        case 'remove-station': {
+            const station = findStation(stations, values.id);
+            await saveRegistry(REGISTRY_PATH, stations.filter(s => s !== station));
+            console.log(`Removed station ${station.id} (${station.name_en}). Its files in data/${station.id}/ were kept.`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
     }
-    console.log("Data generation complete.");
 }
 
-main().catch(console.error);
+// Only when run as `node generate.js`; the tests import processStation without running a command
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((err) => {
+        console.error(err.message || err);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,165 @@
+// Common normalisation layer: source records -> data/{station}/{year}.json + meta.json
+//
+// Year file schema 2: { station, year, unit, schema: 2, columns, units, days }.
+// Rows follow `columns`; the first three are always date, min, max so schema 1
+// files ([date, min, max] rows without `columns`) stay readable everywhere.
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const SCHEMA_VERSION = 2;
+export const DAY_COLUMNS = ['date', 'min', 'max', 'mean', 'precipitation', 'humidity', 'wind_max', 'sunshine'];
+export const COLUMN_UNITS = {
+    min: '°C',
+    max: '°C',
+    mean: '°C',
+    precipitation: 'mm',
+    humidity: '%',
+    wind_max: 'km/h',
+    sunshine: 'h'
+};
+const EXTRA_COLUMNS = DAY_COLUMNS.slice(3);
+
+export async function readJson(filePath) {
+    // Files written by the old generate.ps1 start with a UTF-8 BOM
+    const text = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(text.replace(/^\uFEFF/, ''));
+}
+
+export async function ensureDir(dirPath) {
+    try {
+        await fs.mkdir(dirPath, { recursive: true });
+    } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+    }
+}
+
+export function normalizeDate(value) {
+    // Accepts 2024-07-18, 2024/07/18, 2024.07.18, 20240718 and ISO timestamps
+    if (typeof value !== 'string') return null;
+    const match = value.trim().match(/^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})/);
+    if (!match) return null;
+
+    const [, y, m, d] = match;
+    const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+    if (date.getUTCMonth() !== Number(m) - 1 || date.getUTCDate() !== Number(d)) return null;
+    return `${y}-${m}-${d}`;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function normalizeRecords(records) {
+    // records: [{ date, min, max, mean?, precipitation?, ... }]
+    // -> { days: [[date, min, max, ...extras], ...] in DAY_COLUMNS order, sorted by date, skipped }
+    // Skips days without both temperatures (future dates or missing); later duplicates win.
+    const byDate = new Map();
+    let skipped = 0;
+
+    for (const record of records) {
+        const date = normalizeDate(record.date);
+        if (!date || !isNumber(record.min) || !isNumber(record.max)) {
+            skipped++;
+            continue;
+        }
+        const extras = EXTRA_COLUMNS.map(column => (isNumber(record[column]) ? record[column] : null));
+        byDate.set(date, [date, record.min, record.max, ...extras]);
+    }
+
+    const days = Array.from(byDate.values()).sort((a, b) => (a[0] < b[0] ? -1 : 1));
+    return { days, skipped };
+}
+
+export function mergeDays(existingDays, incomingDays) {
+    // Both [[date, min, max], ...]; incoming days replace stored ones with the same date
+    const byDate = new Map(existingDays.map(day => [day[0], day]));
+    incomingDays.forEach(day => byDate.set(day[0], day));
+    return Array.from(byDate.values()).sort((a, b) => (a[0] < b[0] ? -1 : 1));
+}
+
+export function addDays(dateStr, count) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+export function groupByYear(days) {
+    const years = new Map();
+    for (const day of days) {
+        const year = Number(day[0].slice(0, 4));
+        if (!years.has(year)) years.set(year, []);
+        years.get(year).push(day);
+    }
+    return years;
+}
+
+export function expandDays(file) {
+    // Any stored schema -> full-width rows in DAY_COLUMNS order (missing variables are null)
+    const columns = file.columns || ['date', 'min', 'max'];
+    const indices = DAY_COLUMNS.map(column => columns.indexOf(column));
+    return (file.days || []).map(row => indices.map(i => (i === -1 || row[i] === undefined ? null : row[i])));
+}
+
+export function buildYearFile(stationId, year, days) {
+    // Only variables with at least one value are written, keeping temperature-only files small
+    const used = DAY_COLUMNS
+        .map((column, i) => i)
+        .filter(i => i < 3 || days.some(day => day[i] !== null && day[i] !== undefined));
+    const columns = used.map(i => DAY_COLUMNS[i]);
+
+    return {
+        station: stationId,
+        year: year,
+        unit: "celsius",
+        schema: SCHEMA_VERSION,
+        columns: columns,
+        units: Object.fromEntries(columns.slice(1).map(column => [column, COLUMN_UNITS[column]])),
+        days: days.map(day => used.map(i => (day[i] === undefined ? null : day[i])))
+    };
+}
+
+export async function writeYearFile(stationDir, fileContent) {
+    await fs.writeFile(
+        path.join(stationDir, `${fileContent.year}.json`),
+        JSON.stringify(fileContent, null, 0) // Minified
+    );
+}
+
+export async function readYearDays(stationDir, year) {
+    // Stored days for a year (full-width rows), or [] if the file does not exist yet
+    try {
+        return expandDays(await readJson(path.join(stationDir, `${year}.json`)));
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+}
+
+export async function computeChecksum(stationDir, years) {
+    // SHA-256 over the days of every year, independent of file formatting/BOM
+    const hash = crypto.createHash('sha256');
+    for (const year of years.slice().sort((a, b) => a - b)) {
+        const days = await readYearDays(stationDir, year);
+        hash.update(`${year}:${JSON.stringify(days)}\n`);
+    }
+    return `sha256:${hash.digest('hex')}`;
+}
+
+export async function writeMeta(stationDir, meta) {
+    await fs.writeFile(
+        path.join(stationDir, 'meta.json'),
+        JSON.stringify(meta, null, 2)
+    );
+}
+
+export async function readMeta(stationDir) {
+    // null only when there is no meta.json yet; a corrupt one must not be rebuilt from fewer years
+    try {
+        return await readJson(path.join(stationDir, 'meta.json'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
@@ -0,0 +1,93 @@
+// Normals: per calendar day (leap-year calendar, 366 rows, 'MM-DD') statistics over every stored year.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readJson } from './normalize.js';
+
+const NORMALS_WINDOW = 7; // Pool +-7 days around each calendar day so a few years give stable stats
+const NORMALS_COLUMNS = ['date', 'min_mean', 'max_mean', 'min_p10', 'min_p90', 'max_p10', 'max_p90'];
+
+function calendarIndex(dateStr) {
+    const offsets = [0, 31, 60, 91, 121, 152, 182, 213, 244, 274, 305, 335];
+    const [, m, d] = dateStr.split('-').map(Number);
+    return offsets[m - 1] + d - 1;
+}
+
+function percentile(sorted, p) {
+    // Linear interpolation between closest ranks
+    const pos = (sorted.length - 1) * p;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export function computeNormals(stationId, yearFiles) {
+    const mins = Array.from({ length: 366 }, () => []);
+    const maxs = Array.from({ length: 366 }, () => []);
+
+    for (const file of yearFiles) {
+        for (const [date, tMin, tMax] of file.days) {
+            const index = calendarIndex(date);
+            for (let offset = -NORMALS_WINDOW; offset <= NORMALS_WINDOW; offset++) {
+                const target = (index + offset + 366) % 366;
+                mins[target].push(tMin);
+                maxs[target].push(tMax);
+            }
+        }
+    }
+
+    const days = [];
+    const lengths = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    let index = 0;
+    lengths.forEach((length, m) => {
+        for (let d = 1; d <= length; d++, index++) {
+            const key = `${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+            if (mins[index].length === 0) continue;
+
+            const minSorted = mins[index].slice().sort((a, b) => a - b);
+            const maxSorted = maxs[index].slice().sort((a, b) => a - b);
+            const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+            days.push([
+                key,
+                round1(mean(minSorted)),
+                round1(mean(maxSorted)),
+                round1(percentile(minSorted, 0.1)),
+                round1(percentile(minSorted, 0.9)),
+                round1(percentile(maxSorted, 0.1)),
+                round1(percentile(maxSorted, 0.9))
+            ]);
+        }
+    });
+
+    return {
+        station: stationId,
+        years: yearFiles.map(f => f.year),
+        window_days: NORMALS_WINDOW,
+        columns: NORMALS_COLUMNS,
+        days
+    };
+}
+
+export async function writeNormals(stationId, stationDir, years) {
+    const yearFiles = [];
+    for (const year of years) {
+        try {
+            yearFiles.push(await readJson(path.join(stationDir, `${year}.json`)));
+        } catch (err) {
+            console.error(`  Skipping ${year} for normals: ${err.message}`);
+        }
+    }
+    if (yearFiles.length === 0) return;
+
+    const normals = computeNormals(stationId, yearFiles);
+    await fs.writeFile(
+        path.join(stationDir, 'normals.json'),
+        JSON.stringify(normals, null, 0)
+    );
+    console.log(`  Saved normals.json (${yearFiles.length} years)`);
+}
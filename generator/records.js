@@ -0,0 +1,107 @@
+// Records: all-time extremes, longest streaks and frost dates over every stored year of a station.
+// The app only reads records.json (it never downloads every year file to compute them), so
+// `node generate.js records` must be run whenever year files change outside fetch/import.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readJson, expandDays, addDays } from './normalize.js';
+
+const RECORDS_TOP = 10; // Entries per list
+// Same thresholds as the app's stats panel (°C)
+const RECORD_THRESHOLDS = {
+    tropical_night: 25, // min >= 25
+    heatwave: 33,       // max >= 33
+    freezing: 0         // min < 0 (also a frost day)
+};
+
+const STREAK_TESTS = {
+    tropical_night: ([, min]) => min >= RECORD_THRESHOLDS.tropical_night,
+    heatwave: ([, , max]) => max >= RECORD_THRESHOLDS.heatwave,
+    freezing: ([, min]) => min < RECORD_THRESHOLDS.freezing
+};
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function topDays(days, score) {
+    // Highest score first; ties keep the earlier date
+    return days
+        .slice()
+        .sort((a, b) => score(b) - score(a) || (a[0] < b[0] ? -1 : 1))
+        .slice(0, RECORDS_TOP)
+        .map(([date, min, max]) => [date, min, max]);
+}
+
+function findStreaks(days, test) {
+    // Runs of consecutive dates passing `test`, longest first: [{ start, end, days }]
+    const streaks = [];
+    let current = null;
+    for (const day of days) {
+        const continues = current && day[0] === addDays(current.end, 1);
+        if (!test(day)) {
+            current = null;
+        } else if (continues) {
+            current.end = day[0];
+            current.days++;
+        } else {
+            current = { start: day[0], end: day[0], days: 1 };
+            streaks.push(current);
+        }
+    }
+    return streaks
+        .sort((a, b) => b.days - a.days || (a.start < b.start ? -1 : 1))
+        .slice(0, RECORDS_TOP);
+}
+
+function findFrostDates(days, years) {
+    // Per year: last frost of spring (Jan-Jun) and first frost of autumn (Jul-Dec), or null
+    const frost = new Map(years.map(year => [year, { year, last_spring: null, first_autumn: null }]));
+    for (const [date, min] of days) {
+        if (min >= RECORD_THRESHOLDS.freezing) continue;
+        const entry = frost.get(Number(date.slice(0, 4)));
+        if (!entry) continue;
+        if (date.slice(5) < '07-01') entry.last_spring = date;
+        else if (!entry.first_autumn) entry.first_autumn = date;
+    }
+    return Array.from(frost.values());
+}
+
+export function computeRecords(stationId, yearFiles) {
+    const files = yearFiles.slice().sort((a, b) => a.year - b.year);
+    const days = files.flatMap(file => expandDays(file))
+        .filter(day => day[1] !== null && day[2] !== null);
+    const years = files.map(f => f.year);
+
+    return {
+        station: stationId,
+        years,
+        thresholds: RECORD_THRESHOLDS,
+        columns: ['date', 'min', 'max'],
+        hottest: topDays(days, ([, , max]) => max),
+        coldest: topDays(days, ([, min]) => -min),
+        widest: topDays(days, ([, min, max]) => round1(max - min)),
+        streaks: Object.fromEntries(Object.entries(STREAK_TESTS)
+            .map(([name, test]) => [name, findStreaks(days, test)])),
+        frost: findFrostDates(days, years)
+    };
+}
+
+export async function writeRecords(stationId, stationDir, years) {
+    const yearFiles = [];
+    for (const year of years) {
+        try {
+            yearFiles.push(await readJson(path.join(stationDir, `${year}.json`)));
+        } catch (err) {
+            console.error(`  Skipping ${year} for records: ${err.message}`);
+        }
+    }
+    if (yearFiles.length === 0) return;
+
+    const records = computeRecords(stationId, yearFiles);
+    await fs.writeFile(
+        path.join(stationDir, 'records.json'),
+        JSON.stringify(records, null, 0)
+    );
+    console.log(`  Saved records.json (${yearFiles.length} years)`);
+}
@@ -0,0 +1,60 @@
+// Minimal CSV reader shared by the file-based sources (quoted fields, CRLF, BOM).
+
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+
+    return rows.map(r => r.map(value => value.trim()));
+}
+
+export function findColumn(header, candidates) {
+    // Index of the first header cell matching one of the candidates (exact, then prefix match)
+    const cells = header.map(cell => cell.toLowerCase());
+    for (const candidate of candidates) {
+        const index = cells.indexOf(candidate.toLowerCase());
+        if (index !== -1) return index;
+    }
+    for (const candidate of candidates) {
+        const index = cells.findIndex(cell => cell.startsWith(candidate.toLowerCase()));
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+export function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
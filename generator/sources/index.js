@@ -0,0 +1,22 @@
+// Data-source adapters. Each one turns its upstream format into plain records
+// ({ date: 'YYYY-MM-DD', min, max } in °C) via fetchDays(station, options);
+// normalize.js turns those into the data/{station}/{year}.json files.
+// `attribution` ({ name, url } or null) is recorded in meta.json's sources for the app to credit.
+
+import * as openMeteo from './open-meteo.js';
+import * as kmaAsos from './kma-asos.js';
+import * as localFile from './local-file.js';
+
+export const SOURCES = {
+    [openMeteo.name]: openMeteo,
+    [kmaAsos.name]: kmaAsos,
+    [localFile.name]: localFile
+};
+
+export function getSource(name) {
+    const source = SOURCES[name];
+    if (!source) {
+        throw new Error(`Unknown source "${name}". Available: ${Object.keys(SOURCES).join(', ')}`);
+    }
+    return source;
+}
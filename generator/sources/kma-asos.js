@@ -0,0 +1,57 @@
+// Korea Meteorological Administration ASOS daily CSV export (data.kma.go.kr, "종관기상관측(ASOS)" 일자료).
+// Exports are usually EUC-KR encoded with Korean headers such as 지점, 일시, 최저기온(°C), 최고기온(°C).
+// Optional columns (평균기온, 일강수량, 평균 상대습도, 최대 풍속, 합계 일조시간) are picked up when exported.
+
+import fs from 'fs/promises';
+import { parseCsv, findColumn, toNumber } from './csv.js';
+
+export const name = 'kma-asos';
+
+export const attribution = { name: '기상청 (KMA)', url: 'https://data.kma.go.kr/' };
+
+export function decode(buffer) {
+    const utf8 = new TextDecoder('utf-8').decode(buffer);
+    if (!utf8.includes('\uFFFD')) return utf8;
+    return new TextDecoder('euc-kr').decode(buffer);
+}
+
+export function parse(text, stationId) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) throw new Error('Empty ASOS export');
+
+    const stationCol = findColumn(header, ['지점', 'stnId']);
+    const dateCol = findColumn(header, ['일시', 'tm']);
+    const minCol = findColumn(header, ['최저기온', 'minTa']);
+    const maxCol = findColumn(header, ['최고기온', 'maxTa']);
+    if (dateCol === -1 || minCol === -1 || maxCol === -1) {
+        throw new Error('ASOS export is missing 일시/최저기온/최고기온 columns');
+    }
+
+    const meanCol = findColumn(header, ['평균기온(°C)', '평균기온(', 'avgTa']);
+    const precipitationCol = findColumn(header, ['일강수량(mm)', '일강수량(', 'sumRn']);
+    const humidityCol = findColumn(header, ['평균 상대습도(%)', '평균 상대습도(', 'avgRhm']);
+    const windCol = findColumn(header, ['최대 풍속(m/s)', '최대 풍속(', 'maxWs']);
+    const sunshineCol = findColumn(header, ['합계 일조시간(hr)', '합계 일조시간(', 'sumSsHr']);
+    const cell = (row, col) => (col === -1 ? null : toNumber(row[col]));
+
+    return rows
+        .filter(row => stationCol === -1 || !stationId || row[stationCol] === stationId)
+        .map(row => {
+            const wind = cell(row, windCol);
+            return {
+                date: row[dateCol],
+                min: toNumber(row[minCol]),
+                max: toNumber(row[maxCol]),
+                mean: cell(row, meanCol),
+                precipitation: cell(row, precipitationCol),
+                humidity: cell(row, humidityCol),
+                wind_max: wind === null ? null : Math.round(wind * 36) / 10, // m/s -> km/h
+                sunshine: cell(row, sunshineCol)
+            };
+        });
+}
+
+export async function fetchDays(station, { file }) {
+    if (!file) throw new Error('kma-asos needs --file <export.csv>');
+    return parse(decode(await fs.readFile(file)), station.id);
+}
@@ -0,0 +1,80 @@
+// Generic local importer for files we already have.
+// CSV: header with date,min,max (also tmin/tmax, min_temp/max_temp) and optionally
+// mean, precipitation, humidity, wind_max, sunshine.
+// NDJSON: one { "date", "min", "max", ... } object or [date, min, max] array per line.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCsv, findColumn, toNumber } from './csv.js';
+
+export const name = 'local-file';
+
+// Unknown origin: imports keep the sources meta.json already credits
+export const attribution = null;
+
+const OPTIONAL_COLUMNS = ['mean', 'precipitation', 'humidity', 'wind_max', 'sunshine'];
+
+export function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const dateCol = findColumn(header, ['date', 'day', 'time']);
+    const minCol = findColumn(header, ['min', 'tmin', 'min_temp', 'temperature_2m_min']);
+    const maxCol = findColumn(header, ['max', 'tmax', 'max_temp', 'temperature_2m_max']);
+    if (dateCol === -1 || minCol === -1 || maxCol === -1) {
+        throw new Error('CSV needs date, min and max columns');
+    }
+
+    const optional = OPTIONAL_COLUMNS
+        .map(column => [column, header.findIndex(cell => cell.toLowerCase() === column)])
+        .filter(([, index]) => index !== -1);
+
+    return rows.map(row => {
+        const record = {
+            date: row[dateCol],
+            min: toNumber(row[minCol]),
+            max: toNumber(row[maxCol])
+        };
+        optional.forEach(([column, index]) => {
+            record[column] = toNumber(row[index]);
+        });
+        return record;
+    });
+}
+
+export function parseNdjsonRecords(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map((line, i) => {
+            let value;
+            try {
+                value = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Invalid JSON on line ${i + 1}`);
+            }
+            if (Array.isArray(value)) {
+                return { date: value[0], min: value[1], max: value[2] };
+            }
+            return value;
+        });
+}
+
+export function parse(text, format) {
+    return format === 'ndjson' ? parseNdjsonRecords(text) : parseCsvRecords(text);
+}
+
+export async function fetchDays(station, { file, format, unit }) {
+    if (!file) throw new Error('local-file needs --file <path>');
+
+    const ext = path.extname(file).toLowerCase();
+    const detected = format || (ext === '.ndjson' || ext === '.jsonl' ? 'ndjson' : 'csv');
+    const records = parse(await fs.readFile(file, 'utf8'), detected);
+
+    if (unit === 'fahrenheit') {
+        const toCelsius = (f) => (f === null || f === undefined) ? null : Math.round((f - 32) * 50 / 9) / 10;
+        return records.map(r => ({ ...r, min: toCelsius(r.min), max: toCelsius(r.max), mean: toCelsius(r.mean) }));
+    }
+    return records;
+}
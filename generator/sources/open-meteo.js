@@ -0,0 +1,55 @@
+// Open-Meteo historical archive (https://open-meteo.com/en/docs/historical-weather-api)
+
+export const name = 'open-meteo';
+
+// Credited wherever the data is shown (CC BY 4.0)
+export const attribution = { name: 'Open-Meteo', url: 'https://open-meteo.com/' };
+
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+
+// Record field <- Open-Meteo daily variable (wind in km/h, sunshine in seconds)
+const DAILY_VARIABLES = {
+    min: 'temperature_2m_min',
+    max: 'temperature_2m_max',
+    mean: 'temperature_2m_mean',
+    precipitation: 'precipitation_sum',
+    humidity: 'relative_humidity_2m_mean',
+    wind_max: 'wind_speed_10m_max',
+    sunshine: 'sunshine_duration'
+};
+
+export function buildUrl(station, startDate, endDate) {
+    const daily = Object.values(DAILY_VARIABLES).join(',');
+    return `${ARCHIVE_URL}?latitude=${station.lat}&longitude=${station.lon}&start_date=${startDate}&end_date=${endDate}&daily=${daily}&timezone=Asia%2FSeoul`;
+}
+
+export function parse(response) {
+    // { daily: { time: [...], temperature_2m_min: [...], ... } } -> records
+    if (!response || !response.daily || !response.daily.time) {
+        throw new Error('Invalid Open-Meteo response');
+    }
+
+    const { daily } = response;
+    const value = (field, i) => {
+        const series = daily[DAILY_VARIABLES[field]];
+        return series ? series[i] : null;
+    };
+
+    return daily.time.map((date, i) => {
+        const sunshine = value('sunshine', i);
+        return {
+            date,
+            min: value('min', i),
+            max: value('max', i),
+            mean: value('mean', i),
+            precipitation: value('precipitation', i),
+            humidity: value('humidity', i),
+            wind_max: value('wind_max', i),
+            sunshine: typeof sunshine === 'number' ? Math.round(sunshine / 360) / 10 : null // s -> h
+        };
+    });
+}
+
+export async function fetchDays(station, { startDate, endDate, fetchJson }) {
+    return parse(await fetchJson(buildUrl(station, startDate, endDate)));
+}
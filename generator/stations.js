@@ -0,0 +1,68 @@
+// Station registry: data/stations.json is the single list of stations used by
+// the generator and by the app's station dropdown.
+
+import fs from 'fs/promises';
+import { readJson } from './normalize.js';
+
+export async function loadRegistry(registryPath) {
+    try {
+        const registry = await readJson(registryPath);
+        return registry.stations || [];
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+}
+
+export async function saveRegistry(registryPath, stations) {
+    const sorted = stations.slice().sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+    await fs.writeFile(registryPath, JSON.stringify({ stations: sorted }, null, 2) + '\n');
+}
+
+function toNumberOrNull(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`--${field} must be a number`);
+    return number;
+}
+
+export function createStation(values, defaults) {
+    // values: parsed CLI options (strings); defaults: { startYear, endYear }
+    for (const field of ['id', 'name-ko', 'name-en', 'lat', 'lon', 'elevation']) {
+        if (!values[field]) throw new Error(`add-station needs --${field}`);
+    }
+
+    const station = {
+        id: String(values.id),
+        name_ko: values['name-ko'],
+        name_en: values['name-en'],
+        lat: toNumberOrNull(values.lat, 'lat'),
+        lon: toNumberOrNull(values.lon, 'lon'),
+        elevation: toNumberOrNull(values.elevation, 'elevation'), // m above sea level
+        start_year: toNumberOrNull(values['start-year'], 'start-year') || defaults.startYear,
+        end_year: toNumberOrNull(values['end-year'], 'end-year') || defaults.endYear
+    };
+
+    if (Math.abs(station.lat) > 90 || Math.abs(station.lon) > 180) {
+        throw new Error('Latitude/longitude out of range');
+    }
+    if (station.start_year > station.end_year) {
+        throw new Error('--start-year must not be after --end-year');
+    }
+    return station;
+}
+
+export function formatStationTable(stations) {
+    const rows = stations.map(s => [
+        s.id,
+        s.name_ko,
+        s.name_en,
+        `${s.lat}, ${s.lon}`,
+        s.elevation === null || s.elevation === undefined ? '-' : `${s.elevation} m`,
+        `${s.start_year}-${s.end_year}`
+    ]);
+    const header = ['ID', 'Korean', 'English', 'Lat, Lon', 'Elevation', 'Years'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+    const format = (row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+    return [format(header), ...rows.map(format)].join('\n');
+}
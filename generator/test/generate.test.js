@@ -0,0 +1,171 @@
+// processStation against a canned archive: fetch() is replaced by a server that answers every
+// archive URL from fixtures/open-meteo-seoul-2024-01.json, cut to the requested dates. The fixture
+// has the archive's response format; its temperatures are Seoul's stored January 2024 and its last
+// three days are nulls, as the archive returns for days it has no data for yet.
+
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { processStation } from '../generate.js';
+import { getSource } from '../sources/index.js';
+import { readJson, expandDays, buildYearFile, writeYearFile, ensureDir } from '../normalize.js';
+import { fromColumnar } from '../bundle.js';
+import { validateYearFile, validateMeta, validateBundle, validateDataDir } from '../validate.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'open-meteo-seoul-2024-01.json');
+const STATION = { id: '108', name_en: 'Seoul', lat: 37.5665, lon: 126.978, start_year: 2024, end_year: 2024 };
+
+function serveArchive(archive, requests) {
+    // Answers like the archive: only the days between start_date and end_date
+    return async (url) => {
+        requests.push(url);
+        const params = new URL(url).searchParams;
+        const from = params.get('start_date');
+        const to = params.get('end_date');
+        const keep = archive.daily.time.map(date => date >= from && date <= to);
+        const daily = Object.fromEntries(Object.entries(archive.daily)
+            .map(([name, values]) => [name, values.filter((value, i) => keep[i])]));
+        return { ok: true, status: 200, json: async () => ({ ...archive, daily }) };
+    };
+}
+
+describe('processStation with Open-Meteo', () => {
+    let archive;
+    let dataDir;
+    let requests;
+    const source = getSource('open-meteo');
+
+    before(async () => {
+        archive = await readJson(FIXTURE);
+    });
+
+    beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'weather-generator-'));
+        requests = [];
+        globalThis.fetch = serveArchive(archive, requests);
+        ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        delete globalThis.fetch;
+        await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('asks the archive for the whole year at the station', async () => {
+        await processStation(STATION, source, { dataDir });
+
+        assert.equal(requests.length, 1);
+        const params = new URL(requests[0]).searchParams;
+        assert.equal(params.get('latitude'), '37.5665');
+        assert.equal(params.get('longitude'), '126.978');
+        assert.equal(params.get('start_date'), '2024-01-01');
+        assert.equal(params.get('end_date'), '2024-12-31');
+        assert.equal(params.get('timezone'), 'Asia/Seoul');
+        assert.ok(params.get('daily').split(',').includes('sunshine_duration'));
+    });
+
+    it('writes the days with temperatures as a schema 2 year file', async () => {
+        await processStation(STATION, source, { dataDir });
+        const file = await readJson(path.join(dataDir, '108', '2024.json'));
+
+        assert.equal(file.schema, 2);
+        assert.equal(file.unit, 'celsius');
+        assert.deepEqual(file.columns, ['date', 'min', 'max', 'mean', 'precipitation', 'humidity', 'wind_max', 'sunshine']);
+        assert.equal(file.units.sunshine, 'h');
+
+        // The three days without data are left out
+        assert.equal(file.days.length, 31);
+        assert.equal(file.days.at(-1)[0], '2024-01-31');
+        // Sunshine arrives in seconds and is stored in hours
+        assert.deepEqual(file.days[0], ['2024-01-01', -3.5, 6.7, 1.6, 0, 55, 8, 5]);
+        assert.deepEqual(file.days[2], ['2024-01-03', -3.7, 3.1, -0.3, 1.2, 69, 15.4, 6]);
+
+        const errors = validateYearFile(file, { stationId: '108', year: 2024, fileName: '2024.json' })
+            .filter(i => i.level === 'error');
+        assert.deepEqual(errors, []);
+    });
+
+    it('writes meta, normals, records and a bundle matching the year file', async () => {
+        await processStation(STATION, source, { dataDir });
+        const stationDir = path.join(dataDir, '108');
+        const meta = await readJson(path.join(stationDir, 'meta.json'));
+
+        assert.deepEqual(meta.available_years, [2024]);
+        assert.equal(meta.last_date, '2024-01-31');
+        assert.match(meta.checksum, /^sha256:[0-9a-f]{64}$/);
+        assert.equal(meta.bundle, 'bundle.json');
+        assert.deepEqual(meta.sources, [source.attribution]);
+        assert.deepEqual(validateMeta(meta, { stationId: '108', fileName: 'meta.json' }), []);
+
+        const normals = await readJson(path.join(stationDir, 'normals.json'));
+        assert.deepEqual(normals.years, [2024]);
+        const records = await readJson(path.join(stationDir, 'records.json'));
+        assert.deepEqual(records.coldest[0], ['2024-01-23', -15, -9]);
+
+        const file = await readJson(path.join(stationDir, '2024.json'));
+        const bundle = await readJson(path.join(stationDir, 'bundle.json'));
+        assert.deepEqual(fromColumnar(bundle.years[0]), expandDays(file));
+        assert.deepEqual(validateBundle(bundle, new Map([[2024, file]]), { stationId: '108', fileName: 'bundle.json' }), []);
+    });
+
+    it('flags a meta.json whose checksum no longer matches the year files', async () => {
+        await processStation(STATION, source, { dataDir });
+        const stationDir = path.join(dataDir, '108');
+        const file = await readJson(path.join(stationDir, '2024.json'));
+        file.days[0][1] = -4;
+        await writeYearFile(stationDir, file);
+
+        const issues = (await validateDataDir(dataDir)).filter(i => i.file === '108/meta.json');
+        assert.equal(issues.length, 1);
+        assert.match(issues[0].message, /checksum does not match/);
+    });
+
+    it('fetches only the days after the stored ones when incremental', async () => {
+        // Stored: Jan 1-15, with Jan 10 corrected by hand
+        const stationDir = path.join(dataDir, '108');
+        await ensureDir(stationDir);
+        const stored = [];
+        for (let i = 0; i < 15; i++) {
+            const date = archive.daily.time[i];
+            stored.push(date === '2024-01-10' ? [date, -7, 4] : [date, archive.daily.temperature_2m_min[i], archive.daily.temperature_2m_max[i]]);
+        }
+        await writeYearFile(stationDir, buildYearFile('108', 2024, stored));
+
+        await processStation(STATION, source, { incremental: true, dataDir });
+
+        assert.equal(new URL(requests[0]).searchParams.get('start_date'), '2024-01-16');
+        const days = expandDays(await readJson(path.join(stationDir, '2024.json')));
+        assert.equal(days.length, 31);
+        assert.deepEqual(days[9].slice(0, 3), ['2024-01-10', -7, 4]);
+        assert.equal(days[9][3], null); // Stored days keep what they had
+        assert.deepEqual(days[20].slice(0, 4), ['2024-01-21', -3, 2.5, -0.2]);
+    });
+
+    it('leaves a corrupt meta.json alone instead of rebuilding it from this run', async () => {
+        const stationDir = path.join(dataDir, '108');
+        await ensureDir(stationDir);
+        await fs.writeFile(path.join(stationDir, 'meta.json'), '{"station_id": "108", "available_years": [2020, 20');
+
+        await assert.rejects(processStation(STATION, source, { dataDir }), SyntaxError);
+        assert.equal(await fs.readFile(path.join(stationDir, 'meta.json'), 'utf8'), '{"station_id": "108", "available_years": [2020, 20');
+    });
+
+    it('writes nothing for a year the archive has no temperatures for', async () => {
+        const empty = {
+            ...archive,
+            daily: Object.fromEntries(Object.entries(archive.daily).map(([name, values]) => [name, values.slice(31)]))
+        };
+        globalThis.fetch = serveArchive(empty, requests);
+
+        await processStation(STATION, source, { dataDir });
+
+        const files = await fs.readdir(path.join(dataDir, '108'));
+        assert.deepEqual(files, ['meta.json']);
+        const meta = await readJson(path.join(dataDir, '108', 'meta.json'));
+        assert.deepEqual(meta.available_years, []);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildUrl, parse } from '../sources/open-meteo.js';
+import { readJson, normalizeRecords } from '../normalize.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'open-meteo-seoul-2024-01.json');
+
+describe('open-meteo source', () => {
+    it('builds an archive URL for the station and dates', () => {
+        const url = new URL(buildUrl({ lat: 35.1796, lon: 129.0756 }, '2024-07-01', '2024-07-31'));
+
+        assert.equal(url.origin + url.pathname, 'https://archive-api.open-meteo.com/v1/archive');
+        assert.equal(url.searchParams.get('latitude'), '35.1796');
+        assert.equal(url.searchParams.get('start_date'), '2024-07-01');
+        assert.equal(url.searchParams.get('end_date'), '2024-07-31');
+        assert.deepEqual(url.searchParams.get('daily').split(','), [
+            'temperature_2m_min', 'temperature_2m_max', 'temperature_2m_mean', 'precipitation_sum',
+            'relative_humidity_2m_mean', 'wind_speed_10m_max', 'sunshine_duration'
+        ]);
+    });
+
+    it('turns a response into one record per day', async () => {
+        const records = parse(await readJson(FIXTURE));
+
+        assert.equal(records.length, 34);
+        assert.deepEqual(records[0], {
+            date: '2024-01-01',
+            min: -3.5,
+            max: 6.7,
+            mean: 1.6,
+            precipitation: 0,
+            humidity: 55,
+            wind_max: 8,
+            sunshine: 5
+        });
+        assert.equal(records[33].min, null);
+        assert.equal(records[33].sunshine, null);
+    });
+
+    it('leaves out variables the response does not have', () => {
+        const records = parse({
+            daily: { time: ['2024-01-01'], temperature_2m_min: [-3.5], temperature_2m_max: [6.7] }
+        });
+        assert.deepEqual(records[0], {
+            date: '2024-01-01', min: -3.5, max: 6.7, mean: null, precipitation: null, humidity: null, wind_max: null, sunshine: null
+        });
+    });
+
+    it('rejects an error response', () => {
+        assert.throws(() => parse({ error: true, reason: 'Parameter \'start_date\' is out of allowed range' }), /Invalid Open-Meteo response/);
+    });
+
+    it('skips the days without temperatures when normalised', async () => {
+        const { days, skipped } = normalizeRecords(parse(await readJson(FIXTURE)));
+        assert.equal(days.length, 31);
+        assert.equal(skipped, 3);
+    });
+});
@@ -0,0 +1,246 @@
+// `node generate.js validate`: checks everything under data/ and reports problems.
+// Errors make the command exit non-zero; warnings (e.g. a year that stops before
+// Dec 31 because the archive has no newer data yet) only fail with --strict.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readJson, normalizeDate, addDays, expandDays, computeChecksum, DAY_COLUMNS } from './normalize.js';
+import { fromColumnar, BUNDLE_FORMAT } from './bundle.js';
+
+// Plausible physical ranges; anything outside is a unit or parsing error
+const VALUE_RANGES = {
+    min: [-60, 60],
+    max: [-60, 60],
+    mean: [-60, 60],
+    precipitation: [0, 2000],
+    humidity: [0, 100],
+    wind_max: [0, 400],
+    sunshine: [0, 24]
+};
+
+function issue(level, file, message) {
+    return { level, file, message };
+}
+
+export function validateYearFile(file, { stationId, year, fileName }) {
+    const issues = [];
+    const error = (message) => issues.push(issue('error', fileName, message));
+    const warn = (message) => issues.push(issue('warning', fileName, message));
+
+    if (!file || typeof file !== 'object' || !Array.isArray(file.days)) {
+        error('not a year file (missing "days" array)');
+        return issues;
+    }
+    if (file.station !== stationId) error(`station is "${file.station}", expected "${stationId}"`);
+    if (file.year !== year) error(`year is ${file.year}, expected ${year}`);
+    if (file.unit !== 'celsius') error(`unit is "${file.unit}", expected "celsius"`);
+
+    const columns = file.columns || ['date', 'min', 'max'];
+    if (columns[0] !== 'date' || columns[1] !== 'min' || columns[2] !== 'max') {
+        error(`columns must start with date, min, max (got ${columns.slice(0, 3).join(', ')})`);
+        return issues;
+    }
+    const unknown = columns.filter(column => !DAY_COLUMNS.includes(column));
+    if (unknown.length > 0) error(`unknown columns: ${unknown.join(', ')}`);
+
+    const seen = new Set();
+    let previous = null;
+
+    file.days.forEach((row, i) => {
+        const at = `day ${i + 1}`;
+        if (!Array.isArray(row) || row.length !== columns.length) {
+            error(`${at}: expected ${columns.length} values`);
+            return;
+        }
+
+        const date = normalizeDate(row[0]);
+        if (!date || date !== row[0]) {
+            error(`${at}: invalid date ${JSON.stringify(row[0])}`);
+            return;
+        }
+        if (!date.startsWith(`${year}-`)) error(`${date}: outside ${year}`);
+
+        if (seen.has(date)) {
+            error(`${date}: duplicate date`);
+        } else if (previous && date < previous) {
+            error(`${date}: out of order (after ${previous})`);
+        } else if (previous && date !== addDays(previous, 1)) {
+            const missingTo = addDays(date, -1);
+            const gap = missingTo === addDays(previous, 1) ? missingTo : `${addDays(previous, 1)}..${missingTo}`;
+            error(`missing ${gap}`);
+        }
+        seen.add(date);
+        if (!previous || date > previous) previous = date;
+
+        columns.forEach((column, c) => {
+            if (c === 0) return;
+            const value = row[c];
+            if (value === null && c > 2) return; // Extra variables may be missing
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                error(`${date}: ${column} is not a number`);
+                return;
+            }
+            const range = VALUE_RANGES[column];
+            if (range && (value < range[0] || value > range[1])) {
+                error(`${date}: ${column} ${value} outside ${range[0]}..${range[1]}`);
+            }
+        });
+
+        if (typeof row[1] === 'number' && typeof row[2] === 'number' && row[1] > row[2]) {
+            error(`${date}: min ${row[1]} > max ${row[2]}`);
+        }
+    });
+
+    // Incomplete edges of the year are expected for the current year or a station's first year
+    const sorted = Array.from(seen).sort();
+    if (sorted.length > 0) {
+        if (sorted[0] !== `${year}-01-01`) warn(`starts on ${sorted[0]}`);
+        if (sorted[sorted.length - 1] !== `${year}-12-31`) warn(`ends on ${sorted[sorted.length - 1]}`);
+    } else {
+        error('no days');
+    }
+
+    return issues;
+}
+
+export function validateMeta(meta, { stationId, fileName }) {
+    const issues = [];
+    const error = (message) => issues.push(issue('error', fileName, message));
+    const warn = (message) => issues.push(issue('warning', fileName, message));
+
+    if (!meta || typeof meta !== 'object') {
+        error('not a meta file');
+        return issues;
+    }
+    if (meta.station_id !== stationId) error(`station_id is "${meta.station_id}", expected "${stationId}"`);
+    if (!Array.isArray(meta.available_years) || !meta.available_years.every(Number.isInteger)) {
+        error('available_years must be an array of years');
+    } else if (new Set(meta.available_years).size !== meta.available_years.length) {
+        error('available_years has duplicates');
+    }
+    // Without a checksum the app cannot tell new data from cached data
+    const missing = ['checksum', 'last_date', 'last_updated'].filter(field => !meta[field]);
+    if (missing.length > 0) warn(`missing ${missing.join(', ')} (run \`node generate.js meta\`)`);
+    if (meta.sources !== undefined && (!Array.isArray(meta.sources)
+        || !meta.sources.every(s => s && typeof s.name === 'string' && typeof s.url === 'string'))) {
+        error('sources must be an array of { name, url }');
+    }
+    return issues;
+}
+
+export function validateBundle(bundle, yearFiles, { stationId, fileName }) {
+    // The bundle is derived from the year files, so it must hold exactly their days;
+    // anything else means the year files changed without `node generate.js bundle`
+    const issues = [];
+    const error = (message) => issues.push(issue('error', fileName, message));
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.years)) {
+        error(`not a ${BUNDLE_FORMAT} bundle`);
+        return issues;
+    }
+    if (bundle.station !== stationId) error(`station is "${bundle.station}", expected "${stationId}"`);
+
+    const stale = [];
+    for (const [year, file] of yearFiles) {
+        const block = bundle.years.find(b => b.year === year);
+        if (!block) {
+            error(`${year} is missing`);
+        } else if (JSON.stringify(fromColumnar(block)) !== JSON.stringify(expandDays(file))) {
+            stale.push(year);
+        }
+    }
+    if (stale.length > 0) error(`differs from ${stale.map(year => `${year}.json`).join(', ')} (run \`node generate.js bundle\`)`);
+    return issues;
+}
+
+export function validateRegistry(stations, fileName) {
+    const issues = [];
+    const ids = new Set();
+    stations.forEach((station, i) => {
+        const at = `station ${station.id || i + 1}`;
+        ['id', 'name_ko', 'name_en'].forEach(field => {
+            if (typeof station[field] !== 'string' || station[field] === '') {
+                issues.push(issue('error', fileName, `${at}: missing ${field}`));
+            }
+        });
+        if (typeof station.lat !== 'number' || typeof station.lon !== 'number') {
+            issues.push(issue('error', fileName, `${at}: lat/lon must be numbers`));
+        }
+        if (typeof station.elevation !== 'number') {
+            issues.push(issue('error', fileName, `${at}: elevation must be a number (m)`));
+        }
+        if (ids.has(station.id)) issues.push(issue('error', fileName, `${at}: duplicate id`));
+        ids.add(station.id);
+    });
+    return issues;
+}
+
+async function readOrIssue(filePath, fileName, issues) {
+    try {
+        return await readJson(filePath);
+    } catch (e) {
+        issues.push(issue('error', fileName, e.code === 'ENOENT' ? 'file not found' : `unreadable: ${e.message}`));
+        return null;
+    }
+}
+
+export async function validateDataDir(dataDir) {
+    // -> [{ level: 'error' | 'warning', file, message }]
+    const issues = [];
+
+    const registry = await readOrIssue(path.join(dataDir, 'stations.json'), 'stations.json', issues);
+    const stations = registry && Array.isArray(registry.stations) ? registry.stations : [];
+    if (registry) issues.push(...validateRegistry(stations, 'stations.json'));
+
+    // Every station directory on disk, registered or not
+    const entries = await fs.readdir(dataDir, { withFileTypes: true });
+    const stationIds = entries.filter(e => e.isDirectory()).map(e => e.name).sort();
+
+    for (const stationId of stationIds) {
+        const stationDir = path.join(dataDir, stationId);
+        if (!stations.some(s => s.id === stationId)) {
+            issues.push(issue('warning', stationId, 'directory is not in stations.json'));
+        }
+
+        const metaName = `${stationId}/meta.json`;
+        const meta = await readOrIssue(path.join(stationDir, 'meta.json'), metaName, issues);
+        if (meta) issues.push(...validateMeta(meta, { stationId, fileName: metaName }));
+        const listed = meta && Array.isArray(meta.available_years) ? meta.available_years : [];
+
+        const yearFiles = (await fs.readdir(stationDir))
+            .filter(name => /^\d{4}\.json$/.test(name))
+            .map(name => Number(name.slice(0, 4)));
+
+        yearFiles.filter(year => !listed.includes(year)).forEach(year => {
+            issues.push(issue('warning', `${stationId}/${year}.json`, 'not listed in meta.json'));
+        });
+
+        const loaded = new Map();
+        for (const year of listed) {
+            const fileName = `${stationId}/${year}.json`;
+            const file = await readOrIssue(path.join(stationDir, `${year}.json`), fileName, issues);
+            if (file) {
+                issues.push(...validateYearFile(file, { stationId, year, fileName }));
+                loaded.set(year, file);
+            }
+        }
+
+        if (meta && meta.checksum && meta.checksum !== await computeChecksum(stationDir, listed)) {
+            issues.push(issue('error', metaName, 'checksum does not match the year files (run `node generate.js meta`)'));
+        }
+
+        if (meta && meta.bundle) {
+            const bundleName = `${stationId}/${meta.bundle}`;
+            const bundle = await readOrIssue(path.join(stationDir, meta.bundle), bundleName, issues);
+            if (bundle) issues.push(...validateBundle(bundle, loaded, { stationId, fileName: bundleName }));
+        }
+    }
+
+    for (const station of stations) {
+        if (!stationIds.includes(station.id)) {
+            issues.push(issue('warning', 'stations.json', `station ${station.id} has no data directory yet`));
+        }
+    }
+
+    return issues;
+}
@@ -0,0 +1,112 @@
+// Service worker: keeps the app usable offline.
+// - App shell: precached on install, served cache-first (bump SHELL_VERSION when these files change)
+// - Year files and station bundles: requested as `data/{station}/{year}.json?v={data version}` or
+//   `data/{station}/bundle.json?v=...` (see DataManager); a cached copy with the same version
+//   is used as is, a new version replaces the old one
+// - Registry, meta, normals and records: network-first, so a new data version is seen as soon as we are online
+// Anything answered from the cache because the network failed carries OFFLINE_HEADER.
+
+const SHELL_VERSION = 'v7';
+const SHELL_CACHE = `weather-shell-${SHELL_VERSION}`;
+const DATA_CACHE = 'weather-data';
+const OFFLINE_HEADER = 'X-Weather-Offline';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'embed.js',
+    'embed.html',
+    'embed.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches from earlier versions; the data cache is kept across versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('weather-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/data/')) {
+        const isVersioned = /\/(\d{4}|bundle)\.json$/.test(url.pathname);
+        event.respondWith(isVersioned && url.searchParams.has('v')
+            ? versionedFirst(request)
+            : networkFirst(request));
+    } else {
+        event.respondWith(shellFirst(request));
+    }
+});
+
+async function shellFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    return fetch(request);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (e) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return markOffline(cached);
+        throw e;
+    }
+}
+
+async function versionedFirst(request) {
+    // The URL carries the data version, so an exact match is still current
+    const cache = await caches.open(DATA_CACHE);
+    const exact = await cache.match(request);
+    if (exact) return exact;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Forget copies of this file from older data versions
+            const stale = await cache.keys(request, { ignoreSearch: true });
+            await Promise.all(stale.map(key => cache.delete(key)));
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        // Offline: an older version is better than nothing
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return markOffline(cached);
+        throw e;
+    }
+}
+
+async function markOffline(response) {
+    const headers = new Headers(response.headers);
+    headers.set(OFFLINE_HEADER, '1');
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
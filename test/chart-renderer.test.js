@@ -0,0 +1,285 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChartRenderer } from '../app.js';
+import { installWindow, createCanvas, emptyRoot, makeYearData, CANVAS_RECT } from './helpers.js';
+
+const PADDING_LEFT = 50; // getLayout()
+const CANVAS_WIDTH = 1000;
+const PLOT_WIDTH = CANVAS_WIDTH - 100;
+
+function createChart() {
+    const canvas = createCanvas({ width: CANVAS_WIDTH, height: 500 });
+    const chart = new ChartRenderer(canvas, emptyRoot);
+    chart.setData(makeYearData(2024)); // 366 days
+    return chart;
+}
+
+function clickSlot(chart, slot) {
+    // Clicks the middle of the slot'th bar on screen; returns the selected index
+    const barWidth = PLOT_WIDTH / Math.ceil(chart.visibleCount);
+    chart.canvas.dispatch('click', {
+        clientX: CANVAS_RECT.left + PADDING_LEFT + barWidth * (slot + 0.5),
+        clientY: CANVAS_RECT.top + 200
+    });
+    return chart.selectedIndex;
+}
+
+describe('ChartRenderer window', () => {
+    let chart;
+
+    beforeEach(() => {
+        installWindow();
+        mock.method(console, 'log', () => {});
+        chart = createChart();
+    });
+
+    afterEach(() => {
+        chart.destroy();
+        mock.restoreAll();
+    });
+
+    it('starts on the whole year', () => {
+        assert.equal(chart.startIndex, 0);
+        assert.equal(chart.visibleCount, 366);
+        assert.deepEqual(chart.getVisibleRange(), { start: 0, end: 366 });
+    });
+
+    it('zooms in around the centre', () => {
+        chart.zoom(0.5);
+        assert.equal(chart.visibleCount, 183);
+        assert.equal(chart.startIndex, 91.5);
+        assert.equal(chart.startIndex + chart.visibleCount / 2, 183);
+    });
+
+    it('never zooms in past a week', () => {
+        for (let i = 0; i < 20; i++) chart.zoom(0.9);
+        assert.equal(chart.visibleCount, chart.minVisible);
+        assert.ok(chart.startIndex >= 0 && chart.startIndex + chart.visibleCount <= 366);
+    });
+
+    it('never zooms out past the loaded days', () => {
+        chart.showRange(100, 30);
+        chart.zoom(-20); // 630 days asked for
+        assert.equal(chart.visibleCount, 366);
+        assert.equal(chart.startIndex, 0);
+    });
+
+    it('keeps a zoom near the end inside the timeline', () => {
+        chart.showRange(350, 14);
+        chart.zoom(-1); // 28 days around day 357 would run past day 365
+        assert.equal(chart.visibleCount, 28);
+        assert.equal(chart.startIndex, 366 - 28);
+    });
+
+    it('clamps ranges that start before or run past the data', () => {
+        chart.showRange(-20, 30);
+        assert.equal(chart.startIndex, 0);
+        chart.showRange(360, 30);
+        assert.equal(chart.startIndex, 336);
+        chart.showRange(10, 2);
+        assert.equal(chart.visibleCount, chart.minVisible);
+    });
+
+    it('pans by whole bars and stops at both ends', () => {
+        chart.showRange(100, 30);
+        const barWidth = PLOT_WIDTH / 30;
+
+        chart.startDrag(500);
+        chart.drag(500 - barWidth * 5); // Dragging left moves later in time
+        assert.ok(Math.abs(chart.startIndex - 105) < 1e-9);
+
+        chart.drag(500 + barWidth * 1000);
+        assert.equal(chart.startIndex, 0);
+        chart.drag(500 - barWidth * 2000);
+        assert.equal(chart.startIndex, 366 - 30);
+        chart.endDrag();
+        assert.equal(chart.isDragging, false);
+    });
+
+    it('asks for the adjacent year near either edge', () => {
+        const edges = [];
+        chart.onEdgeReached = (direction) => edges.push(direction);
+
+        chart.showRange(150, 30);
+        assert.deepEqual(edges, []);
+        chart.showRange(10, 30);
+        assert.deepEqual(edges, [-1]);
+        chart.showRange(330, 30);
+        assert.deepEqual(edges, [-1, 1]);
+    });
+});
+
+describe('ChartRenderer clicks', () => {
+    let chart;
+
+    beforeEach(() => {
+        installWindow();
+        mock.method(console, 'log', () => {});
+        chart = createChart();
+    });
+
+    afterEach(() => {
+        chart.destroy();
+        mock.restoreAll();
+    });
+
+    it('maps a click to its day on the whole year', () => {
+        assert.equal(clickSlot(chart, 0), 0);
+        assert.equal(clickSlot(chart, 200), 200);
+        assert.equal(clickSlot(chart, 365), 365);
+        assert.equal(chart.data.days[chart.selectedIndex][0], '2024-12-31');
+    });
+
+    it('maps a click to its day when zoomed to a month', () => {
+        chart.showRange(120, 30);
+        assert.equal(clickSlot(chart, 0), 120);
+        assert.equal(clickSlot(chart, 17), 137);
+        assert.equal(clickSlot(chart, 29), 149);
+    });
+
+    it('maps a click to its day when zoomed to a week', () => {
+        chart.showRange(300, 7);
+        assert.equal(clickSlot(chart, 3), 303);
+        assert.equal(clickSlot(chart, 6), 306);
+    });
+
+    it('counts from the first bar drawn after a zoom leaves a fractional start', () => {
+        chart.showRange(100, 31);
+        chart.zoom(0.5); // 15.5 days from 107.75
+        assert.equal(chart.startIndex, 107.75);
+        assert.deepEqual(chart.getVisibleRange(), { start: 107, end: 123 });
+        assert.equal(clickSlot(chart, 0), 107);
+        assert.equal(clickSlot(chart, 15), 122);
+    });
+
+    it('ignores clicks outside the plotted days', () => {
+        chart.showRange(0, 30);
+        const click = (clientX) => chart.canvas.dispatch('click', { clientX, clientY: CANVAS_RECT.top + 200 });
+
+        click(CANVAS_RECT.left + PADDING_LEFT - 1); // Y axis
+        assert.equal(chart.selectedIndex, null);
+        click(CANVAS_RECT.left + CANVAS_WIDTH - 10); // Right-hand axis
+        assert.equal(chart.selectedIndex, null);
+    });
+
+    it('does not select while a drag is in progress', () => {
+        chart.startDrag(300);
+        assert.equal(clickSlot(chart, 10), null);
+        chart.endDrag();
+        assert.equal(clickSlot(chart, 10), 10);
+    });
+
+    it('reports the selection', () => {
+        let changes = 0;
+        chart.onSelectionChange = () => changes++;
+        clickSlot(chart, 45);
+        assert.equal(changes, 1);
+        assert.equal(chart.getViewState().day, '2024-02-15');
+    });
+});
+
+describe('ChartRenderer indicators', () => {
+    let chart;
+
+    beforeEach(() => {
+        installWindow();
+        mock.method(console, 'log', () => {});
+        chart = createChart();
+        chart.setIndicators(['ma30', 'trend']);
+    });
+
+    afterEach(() => {
+        chart.destroy();
+        mock.restoreAll();
+    });
+
+    it('reuses the indicators between redraws', () => {
+        const data = chart.getIndicatorData();
+        chart.selectDate('2024-03-01');
+        assert.equal(chart.getIndicatorData(), data);
+        assert.equal(data.ma30.length, 366);
+    });
+
+    it('recomputes them when the days or the indicators change', () => {
+        const data = chart.getIndicatorData();
+        chart.setData(makeYearData(2023));
+        const next = chart.getIndicatorData();
+        assert.notEqual(next, data);
+        assert.equal(next.ma30.length, 365);
+
+        chart.setIndicators(['ma7']);
+        assert.deepEqual(Object.keys(chart.getIndicatorData()), ['ma7']);
+    });
+});
+
+describe('ChartRenderer previous-day colours', () => {
+    let chart;
+
+    beforeEach(() => {
+        installWindow();
+        mock.method(console, 'log', () => {});
+        chart = createChart();
+        chart.setColorRule('previous');
+    });
+
+    afterEach(() => {
+        chart.destroy();
+        mock.restoreAll();
+    });
+
+    it('compares the first loaded day with Dec 31 of the year before when it is given', () => {
+        const neutral = chart.getCandleColor(0);
+        const warmer = chart.getCandleColor(1); // Every day is warmer than the one before
+
+        chart.setDayBefore(makeYearData(2023).days.at(-1)); // Much warmer than Jan 1
+        const colder = chart.getCandleColor(0);
+        assert.notEqual(colder, neutral);
+        assert.notEqual(colder, warmer);
+
+        chart.setDayBefore(['2023-12-31', -20, -10]);
+        assert.equal(chart.getCandleColor(0), warmer);
+    });
+
+    it('forgets the day before when another year comes first', () => {
+        chart.setDayBefore(['2023-12-31', -20, -10]);
+        chart.extendData(makeYearData(2023), -1);
+        assert.equal(chart.dayBefore, null);
+        chart.setDayBefore(['2023-12-31', -20, -10]);
+        chart.setData(makeYearData(2022));
+        assert.equal(chart.dayBefore, null);
+    });
+});
+
+describe('ChartRenderer settings', () => {
+    let charts;
+
+    beforeEach(() => {
+        installWindow();
+        mock.method(console, 'log', () => {});
+        charts = ['dark', 'light'].map(theme => new ChartRenderer(createCanvas({ width: CANVAS_WIDTH, height: 500 }), emptyRoot, {
+            locale: { language: 'en', unit: 'celsius' },
+            appearance: { choice: theme, theme }
+        }));
+    });
+
+    afterEach(() => {
+        charts.forEach(chart => chart.destroy());
+        mock.restoreAll();
+    });
+
+    it('draws each chart with its own palette', () => {
+        const [dark, light] = charts;
+        assert.notEqual(dark.getPalette(), light.getPalette());
+
+        dark.appearance.theme = 'light';
+        assert.equal(dark.getPalette(), light.getPalette());
+        assert.equal(light.appearance.theme, 'light');
+    });
+
+    it('keeps a light palette and the default locale when given no settings', () => {
+        const chart = new ChartRenderer(createCanvas({ width: CANVAS_WIDTH, height: 500 }), emptyRoot);
+        assert.equal(chart.getPalette(), charts[1].getPalette());
+        assert.deepEqual(chart.locale, { language: 'ko', unit: 'celsius' });
+        chart.destroy();
+    });
+});
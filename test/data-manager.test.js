@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { DataManager } from '../app.js';
+import { installWindow, makeYearFile, jsonResponse } from './helpers.js';
+
+describe('DataManager cache', () => {
+    let requests;
+
+    beforeEach(() => {
+        installWindow();
+        mock.method(console, 'log', () => {});
+        requests = [];
+        globalThis.fetch = async (url) => {
+            requests.push(url);
+            const [, station, year] = url.match(/\/(\w+)\/(\d{4})\.json/);
+            return jsonResponse(makeYearFile(Number(year), { station }));
+        };
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        delete globalThis.fetch;
+    });
+
+    it('keeps the three most recently added years', () => {
+        const manager = new DataManager();
+        ['108-2021', '108-2022', '108-2023', '108-2024'].forEach(key => manager.addToCache(key, { key }));
+
+        assert.deepEqual(Array.from(manager.cache.keys()), ['108-2022', '108-2023', '108-2024']);
+        assert.deepEqual(manager.accessHistory, ['108-2022', '108-2023', '108-2024']);
+    });
+
+    it('evicts the least recently used year, not the oldest one', () => {
+        const manager = new DataManager();
+        ['108-2021', '108-2022', '108-2023'].forEach(key => manager.addToCache(key, { key }));
+        manager.updateAccess('108-2021');
+        manager.addToCache('108-2024', {});
+
+        assert.deepEqual(Array.from(manager.cache.keys()).sort(), ['108-2021', '108-2023', '108-2024']);
+        assert.deepEqual(manager.accessHistory, ['108-2023', '108-2021', '108-2024']);
+    });
+
+    it('does not list a key twice when it is added again', () => {
+        const manager = new DataManager();
+        manager.addToCache('108-2024', {});
+        manager.addToCache('108-2024', {});
+
+        assert.equal(manager.cache.size, 1);
+        assert.deepEqual(manager.accessHistory, ['108-2024']);
+    });
+
+    it('answers repeated years from the cache and refetches evicted ones', async () => {
+        const manager = new DataManager('http://example.test/data');
+        for (const year of [2021, 2022, 2023, 2021, 2024]) {
+            await manager.fetchData('108', year);
+        }
+        assert.deepEqual(requests, [
+            'http://example.test/data/108/2021.json',
+            'http://example.test/data/108/2022.json',
+            'http://example.test/data/108/2023.json',
+            'http://example.test/data/108/2024.json'
+        ]);
+
+        // 2022 was the least recently used when 2024 came in
+        await manager.fetchData('108', 2021);
+        assert.equal(requests.length, 4);
+        await manager.fetchData('108', 2022);
+        assert.equal(requests.length, 5);
+    });
+
+    it('returns full-width rows with the gaps of a year file filled', async () => {
+        globalThis.fetch = async () => jsonResponse(makeYearFile(2024, {
+            days: [['2024-01-01', -3.5, 6.7], ['2024-01-03', -3.7, 3.1]]
+        }));
+        const data = await new DataManager().fetchData('108', 2024);
+
+        assert.deepEqual(data.days.map(day => day.slice(0, 3)), [
+            ['2024-01-01', -3.5, 6.7],
+            ['2024-01-02', null, null],
+            ['2024-01-03', -3.7, 3.1]
+        ]);
+        assert.equal(data.days[0].length, 8);
+    });
+
+    it('drops a station\'s cached years when its data version changes', async () => {
+        const manager = new DataManager();
+        manager.setDataVersion('108', { checksum: 'sha256:a' });
+        await manager.fetchData('108', 2024);
+        await manager.fetchData('112', 2024);
+
+        manager.setDataVersion('108', { checksum: 'sha256:a' });
+        assert.deepEqual(Array.from(manager.cache.keys()), ['108-2024', '112-2024']);
+
+        manager.setDataVersion('108', { checksum: 'sha256:b' });
+        assert.deepEqual(Array.from(manager.cache.keys()), ['112-2024']);
+        assert.deepEqual(manager.accessHistory, ['112-2024']);
+
+        await manager.fetchData('108', 2024);
+        assert.equal(requests.at(-1), './data/108/2024.json?v=sha256%3Ab');
+    });
+
+    it('keeps bundles under the same limit as the years', async () => {
+        globalThis.fetch = async (url) => {
+            requests.push(url);
+            if (url.includes('bundle.json')) {
+                return jsonResponse({
+                    station: '108',
+                    format: 'columnar',
+                    unit: 'celsius',
+                    years: [2023, 2024].map(year => ({ year, start: `${year}-01-01`, columns: ['min', 'max'], values: [[-3], [5]] }))
+                });
+            }
+            const [, station, year] = url.match(/\/(\w+)\/(\d{4})\.json/);
+            return jsonResponse(makeYearFile(Number(year), { station }));
+        };
+        const manager = new DataManager();
+        manager.setDataVersion('108', { bundle: 'bundle.json' });
+
+        await manager.fetchData('108', 2024);
+        await manager.fetchData('108', 2023);
+        assert.equal(requests.filter(url => url.includes('bundle.json')).length, 1);
+        assert.deepEqual(manager.accessHistory, ['108-2024', '108-bundle', '108-2023']);
+
+        // Two other years push the bundle out; the next year of the station downloads it again
+        await manager.fetchData('112', 2023);
+        await manager.fetchData('112', 2024);
+        assert.equal(manager.cache.has('108-bundle'), false);
+        await manager.fetchData('108', 2024);
+        assert.equal(requests.filter(url => url.includes('bundle.json')).length, 2);
+        assert.equal(manager.cache.size, 3);
+    });
+});
@@ -0,0 +1,82 @@
+// Just enough of a browser for DataManager and ChartRenderer under node:test: a window that
+// accepts listeners, a canvas whose 2D context records every call, and a root with no panels.
+
+import { DataManager } from '../app.js';
+
+export const CANVAS_RECT = { left: 10, top: 20 }; // Where the stub canvas sits on the "page"
+
+export function installWindow() {
+    globalThis.window = {
+        location: { protocol: 'http:', search: '' },
+        addEventListener() {}
+    };
+}
+
+export function createContext() {
+    // Any drawing method is recorded in ctx.calls; gradients accept colour stops
+    const calls = [];
+    const target = {
+        calls,
+        measureText: (text) => ({ width: String(text).length * 6 })
+    };
+    return new Proxy(target, {
+        get(obj, key) {
+            if (key in obj) return obj[key];
+            return (...args) => {
+                calls.push([key, ...args]);
+                return { addColorStop() {} };
+            };
+        }
+    });
+}
+
+export function createCanvas({ width = 1000, height = 500 } = {}) {
+    const listeners = new Map();
+    const ctx = createContext();
+    return {
+        ctx,
+        width: 0,
+        height: 0,
+        style: {},
+        parentElement: { clientWidth: width, clientHeight: height },
+        getContext: () => ctx,
+        getBoundingClientRect: () => ({ ...CANVAS_RECT, width, height }),
+        addEventListener(type, handler) {
+            listeners.set(type, handler);
+        },
+        dispatch(type, event = {}) {
+            listeners.get(type)({ preventDefault() {}, ...event });
+        }
+    };
+}
+
+export const emptyRoot = {
+    querySelector: () => null,
+    querySelectorAll: () => []
+};
+
+export function makeYearFile(year, { station = '108', days } = {}) {
+    // Schema 1 year file: every day of the year, min rising through the year
+    const rows = days || [];
+    if (!days) {
+        for (let date = new Date(Date.UTC(year, 0, 1)); date.getUTCFullYear() === year; date.setUTCDate(date.getUTCDate() + 1)) {
+            const i = rows.length;
+            rows.push([date.toISOString().slice(0, 10), -5 + i / 10, 5 + i / 10]);
+        }
+    }
+    return { station, year, days: rows };
+}
+
+export function makeYearData(year) {
+    // The same year the way the app holds it (DAY_COLUMNS rows)
+    return new DataManager().normalizeYearData(makeYearFile(year));
+}
+
+export function jsonResponse(body, status = 200) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: () => null },
+        json: async () => body
+    };
+}